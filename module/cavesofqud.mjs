@@ -6,15 +6,42 @@
 // Import document classes
 import CavesOfQudActor from './documents/actor.mjs';
 import CavesOfQudItem from './documents/item.mjs';
+import CavesOfQudCombat from './documents/combat.mjs';
+import CavesOfQudCombatant from './documents/combatant.mjs';
 
 // Import sheet classes
 import CavesOfQudActorSheet from './sheets/actor-sheet.mjs';
 import CavesOfQudItemSheet from './sheets/item-sheet.mjs';
 
+// Import dice classes
+import PenetrationDie from './dice/penetration-die.mjs';
+import QudPenetrationRoll from './dice/penetration-roll.mjs';
+
 // Import helpers
 import { CAVESOFQUD } from './helpers/config.mjs';
 import * as cooldowns from './helpers/cooldowns.mjs';
 import * as bodyparts from './helpers/bodyparts.mjs';
+import * as dice from './helpers/dice.mjs';
+import * as random from './helpers/random.mjs';
+import * as weaponClasses from './helpers/weapon-classes.mjs';
+import * as conditions from './helpers/conditions.mjs';
+import * as abilities from './helpers/abilities.mjs';
+import * as initiative from './helpers/initiative.mjs';
+import * as movement from './helpers/movement.mjs';
+import * as flight from './helpers/flight.mjs';
+import * as mental from './helpers/mental.mjs';
+import * as mutationPoints from './helpers/mutation-points.mjs';
+import * as advancement from './helpers/advancement.mjs';
+import * as skills from './helpers/skills.mjs';
+import * as characterCreation from './helpers/character-creation.mjs';
+import * as builds from './helpers/builds.mjs';
+import { registerSystemSettings } from './helpers/settings.mjs';
+import { registerEnrichers } from './helpers/enrichers.mjs';
+import { registerChatHooks } from './helpers/chat.mjs';
+import { registerRegenerationHooks } from './helpers/regeneration.mjs';
+import * as calculators from './tools/calculators.mjs';
+import { openCharacterCreator, registerCharacterCreatorHooks } from './tools/character-creator.mjs';
+import { openBuildImporter, downloadBuild } from './tools/build-codes.mjs';
 
 /* -------------------------------------------- */
 /*  Init Hook                                   */
@@ -23,19 +50,64 @@ import * as bodyparts from './helpers/bodyparts.mjs';
 Hooks.once('init', async function() {
   console.log('Caves of Qud | Initializing Caves of Qud System');
 
+  // Register system settings
+  registerSystemSettings();
+
   // Add utility classes to the global game object
   game.cavesofqud = {
     CavesOfQudActor,
     CavesOfQudItem,
+    CavesOfQudCombat,
     config: CAVESOFQUD,
     cooldowns,
     bodyparts,
+    dice,
+    random,
+    weaponClasses,
+    conditions,
+    abilities,
+    initiative,
+    movement,
+    flight,
+    mental,
+    mutationPoints,
+    advancement,
+    skills,
+    characterCreation,
+    builds,
+    calculators,
+    openCharacterCreator,
+    openBuildImporter,
+    downloadBuild,
+    PenetrationDie,
+    QudPenetrationRoll,
     createHumanoidBody: bodyparts.createHumanoidBody  // Shortcut for console
   };
 
   // Define custom Document classes
   CONFIG.Actor.documentClass = CavesOfQudActor;
   CONFIG.Item.documentClass = CavesOfQudItem;
+  CONFIG.Combat.documentClass = CavesOfQudCombat;
+  CONFIG.Combatant.documentClass = CavesOfQudCombatant;
+
+  // Register penetration dice: "/roll 8dpv4" (chat also takes "8pv4") or "@pen[8,4]"
+  CONFIG.Dice.terms[PenetrationDie.DENOMINATION] = PenetrationDie;
+  CONFIG.Dice.rolls.push(QudPenetrationRoll);
+  registerEnrichers();
+  registerChatHooks();
+  registerRegenerationHooks();
+
+  // Status conditions: token status icons and per-turn ticking
+  conditions.registerConditionStatusEffects();
+  conditions.registerConditionHooks();
+
+  // Activated abilities: round cooldowns and the token HUD palette
+  abilities.registerAbilityHooks();
+  movement.registerMovementHooks();
+  flight.registerFlightHooks();
+  mental.registerMentalAttackAbilities();
+  advancement.registerAdvancementHooks();
+  registerCharacterCreatorHooks();
 
   // Register sheet application classes
   Actors.unregisterSheet('core', ActorSheet);
@@ -47,7 +119,7 @@ Hooks.once('init', async function() {
 
   Items.unregisterSheet('core', ItemSheet);
   Items.registerSheet('cavesofqud', CavesOfQudItemSheet, {
-    types: ['weapon', 'armor', 'mutation', 'skill', 'cybernetic', 'artifact'],
+    types: ['weapon', 'ammunition', 'armor', 'mutation', 'skill', 'cybernetic', 'artifact', 'limb'],
     makeDefault: true,
     label: 'CAVESOFQUD.SheetLabels.Item'
   });
@@ -85,6 +157,16 @@ Hooks.once('init', async function() {
 
 Hooks.once('ready', async function() {
   console.log('Caves of Qud | System Ready');
+
+  // Actors from before body plans have none, so lost Feet would not slow them
+  if (game.user === game.users.activeGM) {
+    let recorded = 0;
+    for (let actor of game.actors) {
+      if (!actor.system.bodyParts || Object.keys(actor.system.bodyParts).length === 0) continue;
+      if (await actor.ensureBodyPlan()) recorded++;
+    }
+    if (recorded > 0) console.log(`Caves of Qud | Recorded body plans for ${recorded} actors`);
+  }
 });
 
 /* -------------------------------------------- */
@@ -93,6 +175,12 @@ Hooks.once('ready', async function() {
 
 async function preloadHandlebarsTemplates() {
   return loadTemplates([
-    'systems/cavesofqud/templates/actor/character-sheet.hbs'
+    'systems/cavesofqud/templates/actor/character-sheet.hbs',
+    'systems/cavesofqud/templates/chat/critical-effects.hbs',
+    'systems/cavesofqud/templates/chat/weapon-class-effects.hbs',
+    'systems/cavesofqud/templates/chat/triplet-details.hbs',
+    'systems/cavesofqud/templates/dice/penetration-tooltip.hbs',
+    'systems/cavesofqud/templates/tools/penetration-calculator.hbs',
+    'systems/cavesofqud/templates/tools/penetration-calculator-results.hbs'
   ]);
 }
@@ -0,0 +1,119 @@
+/**
+ * Caves of Qud Penetration Die
+ * A DiceTerm that rolls a complete penetration sequence
+ *
+ * Formula: {PV}dpv{AV}  (e.g. "8dpv4" = PV 8 against AV 4); chat also takes
+ * the short "8pv4" (see normalizePenetrationFormula)
+ * - number: attacker PV
+ * - denomination "p": exploding-8 singlets grouped into triplets
+ * - modifier "v{AV}": defender armor value (AV 0 and up; a negative AV is
+ *   passed in the term's armorValue option, see QudPenetrationRoll)
+ *
+ * Every raw d10 is stored as a result in roll order, so the singlet/triplet
+ * breakdown can always be rebuilt from serialized data. The term's total is
+ * the number of penetrations.
+ */
+
+import { parsePenetrationDice } from './penetration.mjs';
+
+const BaseDiceTerm = foundry.dice?.terms?.DiceTerm ?? DiceTerm;
+
+export default class PenetrationDie extends BaseDiceTerm {
+  constructor(termData = {}) {
+    termData.faces = 10;
+    super(termData);
+  }
+
+  /** @override */
+  static DENOMINATION = 'p';
+
+  /** @override */
+  static MODIFIERS = {
+    v: 'versus'
+  };
+
+  /**
+   * Defender armor value: the armorValue option when the roll set one
+   * (see QudPenetrationRoll, it can be negative), otherwise the "v" modifier
+   * @returns {number}
+   */
+  get armorValue() {
+    if (Number.isFinite(this.options.armorValue)) return this.options.armorValue;
+    for (let modifier of this.modifiers) {
+      const match = modifier.match(/^v(\d+)$/i);
+      if (match) return Number(match[1]);
+    }
+    return 0;
+  }
+
+  /**
+   * Full singlet/triplet breakdown rebuilt from the rolled dice
+   * @returns {Object|null} Penetration result (see resolvePenetration) or null if unrolled
+   */
+  get penetration() {
+    if (!this._evaluated) return null;
+    return parsePenetrationDice(this.number, this.armorValue, this.results.map(r => r.result));
+  }
+
+  /**
+   * Roll d10s until the penetration sequence is complete
+   * @override
+   */
+  async _evaluate({ minimize = false, maximize = false } = {}) {
+    const dice = [];
+
+    while (!parsePenetrationDice(this.number, this.armorValue, dice).complete) {
+      const result = await this.roll({ minimize, maximize });
+      dice.push(result.result);
+    }
+
+    this._annotateResults();
+    return this;
+  }
+
+  /**
+   * Penetration sequences depend on each previous die and cannot be rolled synchronously
+   * @override
+   */
+  _evaluateSync() {
+    throw new Error('Caves of Qud penetration rolls must be evaluated asynchronously');
+  }
+
+  /**
+   * The "v" modifier is consumed before rolling; nothing to apply afterwards
+   * @param {string} modifier - Modifier string
+   */
+  versus(modifier) {}
+
+  /**
+   * Mark each result for display and counting
+   * - count: 1 on the first die of each penetrating triplet, so the term total is the penetration count
+   * - success/failure: whether the die's singlet passed
+   * - exploded: raw 10s that chained into another die
+   *
+   * @private
+   */
+  _annotateResults() {
+    const penetration = parsePenetrationDice(this.number, this.armorValue, this.results.map(r => r.result));
+    let index = 0;
+
+    for (let triplet of penetration.triplets) {
+      let first = true;
+      for (let singlet of triplet.singlets) {
+        singlet.rolls.forEach((roll, rollIndex) => {
+          const result = this.results[index++];
+          result.count = (first && triplet.penetrations > 0) ? 1 : 0;
+          result.success = singlet.passed;
+          result.failure = !singlet.passed;
+          if (rollIndex < singlet.rolls.length - 1) result.exploded = true;
+          first = false;
+        });
+      }
+    }
+  }
+
+  /** @override */
+  getResultLabel(result) {
+    return String(result.result);
+  }
+}
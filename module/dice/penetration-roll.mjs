@@ -0,0 +1,93 @@
+/**
+ * Caves of Qud Penetration Roll
+ * A Roll subclass wrapping a single PenetrationDie, with a tooltip that
+ * shows every triplet and singlet instead of a flat list of d10s
+ */
+
+import PenetrationDie from './penetration-die.mjs';
+import { formatTripletDetails } from './penetration.mjs';
+
+export default class QudPenetrationRoll extends Roll {
+
+  /** @override */
+  static TOOLTIP_TEMPLATE = 'systems/cavesofqud/templates/dice/penetration-tooltip.hbs';
+
+  /**
+   * The defenderAV option, when given, is the AV the roll is made against
+   * Formula modifiers cannot carry a sign, so a negative (or fractional) AV
+   * rides on the penetration term's options instead.
+   *
+   * @param {string} formula - Roll formula
+   * @param {Object} data - Roll data
+   * @param {Object} options - Roll options
+   */
+  constructor(formula, data = {}, options = {}) {
+    super(formula, data, options);
+    const term = this.penetrationTerm;
+    if (term && options.defenderAV !== undefined) term.options.armorValue = options.defenderAV;
+  }
+
+  /**
+   * Build an unevaluated roll for a PV/AV pair
+   * PV below 1 produces no triplets. The AV is used as given; the formula
+   * only shows it when it is not negative.
+   *
+   * @param {number} attackerPV - Attacker PV
+   * @param {number} defenderAV - Defender AV
+   * @param {Object} data - Roll data
+   * @param {Object} options - Roll options
+   * @returns {QudPenetrationRoll}
+   *
+   * @example
+   * const roll = await QudPenetrationRoll.fromValues(8, 4).evaluate();
+   * roll.total; // number of penetrations
+   */
+  static fromValues(attackerPV, defenderAV, data = {}, options = {}) {
+    const pv = Math.max(0, Math.floor(attackerPV));
+    const versus = defenderAV >= 0 ? `v${Math.floor(defenderAV)}` : '';
+    return new this(`${pv}d${PenetrationDie.DENOMINATION}${versus}`, data, {
+      ...options,
+      attackerPV: attackerPV,
+      defenderAV: defenderAV
+    });
+  }
+
+  /**
+   * The penetration term of this roll
+   * @returns {PenetrationDie|undefined}
+   */
+  get penetrationTerm() {
+    return this.dice.find(d => d instanceof PenetrationDie);
+  }
+
+  /**
+   * Singlet/triplet breakdown, shaped like resolvePenetration's result
+   * @returns {Object|null}
+   */
+  get penetration() {
+    const penetration = this.penetrationTerm?.penetration;
+    if (!penetration) return null;
+
+    // Keep the caller's original PV (e.g. negative PV floored to 0 in the formula)
+    if (this.options.attackerPV !== undefined) {
+      penetration.initialPV = this.options.attackerPV;
+      if (penetration.triplets.length === 0) penetration.finalPV = this.options.attackerPV;
+    }
+
+    return penetration;
+  }
+
+  /** @override */
+  async getTooltip() {
+    const penetration = this.penetration;
+    if (!penetration) return super.getTooltip();
+
+    return renderTemplate(this.constructor.TOOLTIP_TEMPLATE, {
+      formula: this.formula,
+      initialPV: penetration.initialPV,
+      defenderAV: this.penetrationTerm.armorValue,
+      totalPenetrations: penetration.totalPenetrations,
+      tripletDetails: formatTripletDetails(penetration)
+    });
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * Penetration Sequences
+ *
+ * Pure functions that rebuild the singlet/triplet structure of a penetration
+ * sequence from the raw d10 results in the order they were rolled, and
+ * format it for display. Nothing here rolls dice or touches Foundry, so the
+ * die and roll classes in this folder and helpers/dice.mjs can all import it
+ * without importing each other.
+ */
+
+/**
+ * Amount subtracted from each raw d10 in a singlet
+ */
+export const SINGLET_MODIFIER = 2;
+
+/**
+ * Raw d10 face that explodes (modified result of 8)
+ */
+export const EXPLODING_FACE = 10;
+
+/**
+ * PV lost for each chained triplet
+ */
+export const TRIPLET_PV_STEP = 2;
+
+/**
+ * Safety cap on explosions in a single singlet (only reachable when maximizing)
+ */
+export const MAX_SINGLET_DICE = 100;
+
+/**
+ * Build one singlet from a sequence of raw d10 results
+ *
+ * @param {Array<number>} dice - Raw d10 results in roll order
+ * @param {number} start - Index of the singlet's first die
+ * @returns {Object|null} Singlet result, or null if the sequence ends mid-explosion
+ */
+export function parseSinglet(dice, start = 0) {
+  const rolls = [];
+
+  for (let i = start; i < dice.length; i++) {
+    const raw = dice[i];
+    rolls.push({ raw: raw, modified: raw - SINGLET_MODIFIER });
+
+    // Per Qud wiki: "Each time that the maximum result of 8 is rolled"
+    // Maximum result = 8 (which happens when raw die = 10)
+    if (raw !== EXPLODING_FACE || rolls.length >= MAX_SINGLET_DICE) {
+      return {
+        total: rolls.reduce((sum, r) => sum + r.modified, 0),
+        rolls: rolls,
+        exploded: rolls.length > 1,
+        explosionChain: rolls.map(r => r.raw)
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Evaluate three singlets as a penetration triplet
+ *
+ * @param {Array<Object>} singlets - Three singlet results
+ * @param {number} attackerPV - Attacker's PV for this triplet
+ * @param {number} defenderAV - Defender's armor value
+ * @returns {Object} Triplet evaluation result (see rollQudTriplet)
+ */
+export function evaluateTriplet(singlets, attackerPV, defenderAV) {
+  // Per Qud wiki: PV is ADDED to each singlet, then compared to AV
+  // So: (singlet + PV) >= AV for each singlet
+  for (let singlet of singlets) {
+    singlet.passed = (singlet.total + attackerPV) >= defenderAV;
+  }
+  const singletsPassed = singlets.filter(s => s.passed).length;
+
+  return {
+    singlets: singlets,
+    attackerPV: attackerPV,
+    defenderAV: defenderAV,
+    targetNumber: defenderAV,  // What we're trying to beat (not PV-AV!)
+    singletsPassed: singletsPassed,
+    penetrations: singletsPassed > 0 ? 1 : 0,
+    allPassed: singletsPassed === 3
+  };
+}
+
+/**
+ * Rebuild a complete penetration sequence from raw d10 results
+ *
+ * Walks the dice exactly as resolvePenetration rolls them: singlets explode
+ * on raw 10s, every three singlets form a triplet, and a triplet where all
+ * three singlets pass chains into another triplet at PV-2.
+ *
+ * @param {number} attackerPV - Initial attacker PV
+ * @param {number} defenderAV - Defender's armor value
+ * @param {Array<number>} dice - Raw d10 results in roll order
+ * @returns {Object} Penetration result (see resolvePenetration) plus
+ *   `complete` (false if more dice are needed) and `diceUsed`
+ *
+ * @example
+ * parsePenetrationDice(4, 6, [7, 3, 10, 2]);
+ * // { triplets: [...], totalPenetrations: 1, initialPV: 4, finalPV: 4, complete: true, diceUsed: 4 }
+ */
+export function parsePenetrationDice(attackerPV, defenderAV, dice) {
+  const triplets = [];
+  let currentPV = attackerPV;
+  let totalPenetrations = 0;
+  let index = 0;
+  let complete = currentPV <= 0;
+
+  while (!complete) {
+    const singlets = [];
+    while (singlets.length < 3) {
+      const singlet = parseSinglet(dice, index);
+      if (!singlet) break;
+      singlets.push(singlet);
+      index += singlet.rolls.length;
+    }
+
+    // Sequence ends before this triplet is finished
+    if (singlets.length < 3) break;
+
+    const triplet = evaluateTriplet(singlets, currentPV, defenderAV);
+    triplets.push(triplet);
+    totalPenetrations += triplet.penetrations;
+
+    // If all 3 singlets passed, roll another triplet with PV-2
+    // Otherwise, stop
+    if (triplet.allPassed) {
+      currentPV -= TRIPLET_PV_STEP;
+      complete = currentPV <= 0;
+    } else {
+      complete = true;
+    }
+  }
+
+  return {
+    triplets: triplets,
+    totalPenetrations: totalPenetrations,
+    initialPV: attackerPV,
+    finalPV: currentPV,
+    complete: complete,
+    diceUsed: index
+  };
+}
+
+/**
+ * Format a penetration result's triplets for display
+ * Shared by the combat chat card and the penetration roll tooltip
+ *
+ * @param {Object} penetration - Result from resolvePenetration or parsePenetrationDice
+ * @returns {Array<Object>} Display rows, one per triplet
+ */
+export function formatTripletDetails(penetration) {
+  if (!penetration || !penetration.triplets) return [];
+
+  return penetration.triplets.map((triplet, idx) => {
+    return {
+      tripletNumber: idx + 1,
+      pv: triplet.attackerPV,
+      av: triplet.defenderAV,
+      targetNumber: triplet.targetNumber,
+      passed: triplet.penetrations > 0,
+      singlets: triplet.singlets.map(singlet => {
+        // Format explosion chain for display
+        const explosionDisplay = singlet.exploded ?
+          singlet.explosionChain.join(' + ') + ` = ${singlet.total + (singlet.rolls.length * SINGLET_MODIFIER)}` :
+          `${singlet.total + SINGLET_MODIFIER}`;
+
+        return {
+          rolls: explosionDisplay,
+          finalTotal: singlet.total,
+          succeeded: singlet.passed,
+          exploded: singlet.exploded
+        };
+      })
+    };
+  });
+}
+
+/**
+ * Write the short penetration syntax as a Foundry dice formula
+ * Foundry dice terms need a "d" before the denomination, so "8pv4" is
+ * registered as "8dpv4"; both are accepted in chat.
+ *
+ * @param {string} formula - Roll formula
+ * @returns {string} Formula with every "{PV}pv{AV}" written as "{PV}dpv{AV}"
+ *
+ * @example
+ * normalizePenetrationFormula("8pv4 + 1"); // "8dpv4 + 1"
+ * normalizePenetrationFormula("8dpv4");    // "8dpv4"
+ */
+export function normalizePenetrationFormula(formula) {
+  return formula.replace(/\b(\d+)pv(\d+)\b/g, '$1dpv$2');
+}
@@ -18,16 +18,41 @@ import {
   canWieldWeapon,
   addBodyPartWithChildren,
   rollChimeraBodyPart,
-  selectRandomParent,
-  getBodyPartDisplayName
+  getBodyPartDisplayName,
+  getBodyPartSubtree,
+  getDismemberableParts,
+  createBodyPlan,
+  getMissingBodyParts,
+  rebuildBodyPlanPart
 } from '../helpers/bodyparts.mjs';
 import {
   validateAttacker,
   validateMainHandId,
   executeHandAttack,
   executeMultiWeaponAttack,
+  executeRangedAttack,
   createCombatChatMessage
 } from '../helpers/combat.mjs';
+import { isRangedWeapon, reloadWeapon } from '../helpers/ranged.mjs';
+import { withSeed, getActionSeed, randomInt } from '../helpers/random.mjs';
+import { applyResistance, normalizeDamageType } from '../helpers/damage.mjs';
+import { getWeaponClass } from '../helpers/weapon-classes.mjs';
+import { getMutationVenom } from '../helpers/venom.mjs';
+import { getActorAbilities, useAbility } from '../helpers/abilities.mjs';
+import { getQuicknessInitiativeBonus } from '../helpers/initiative.mjs';
+import { getBodyMobility, calculateMoveSquares, getActorCombatant, getMovementBudget, sprint } from '../helpers/movement.mjs';
+import { setFlying } from '../helpers/flight.mjs';
+import { requestRest } from '../helpers/regeneration.mjs';
+import { executeMentalAttack, createMentalAttackChatMessage } from '../helpers/mental.mjs';
+import { raiseMutation, getMutationChoices, buyMutation } from '../helpers/mutation-points.mjs';
+import { levelUp, spendAttributePoint, undoLastAdvancement } from '../helpers/advancement.mjs';
+import { calculateSkills, buySkillPower } from '../helpers/skills.mjs';
+import {
+  getActorConditions,
+  getConditionModifiers,
+  applyCondition,
+  removeCondition
+} from '../helpers/conditions.mjs';
 
 export default class CavesOfQudActor extends Actor {
 
@@ -58,8 +83,11 @@ export default class CavesOfQudActor extends Actor {
 
       this.updateSource({
         'system.bodyParts': humanoidBody.parts,
-        'system.bodyRoot': humanoidBody.root
+        'system.bodyRoot': humanoidBody.root,
+        'system.bodyPlan': createBodyPlan(humanoidBody.parts)
       });
+    } else if (!data.system?.bodyPlan || Object.keys(data.system.bodyPlan).length === 0) {
+      this.updateSource({ 'system.bodyPlan': createBodyPlan(data.system.bodyParts) });
     }
   }
 
@@ -98,8 +126,20 @@ export default class CavesOfQudActor extends Actor {
     // Apply mutation stat bonuses (F006 - systems-based approach)
     this._applyMutationBonuses(systemData);
 
+    // Apply bonuses from wielded weapon classes (e.g. Long Blade stances)
+    this._applyWeaponClassBonuses(systemData);
+
+    // Quickness from base + mutation bonuses
+    this._calculateQuickness(systemData);
+
     // Calculate offhand attack chances (US2)
     this._calculateOffhandChances(systemData);
+
+    // Apply status conditions last so DV 0 overrides every bonus
+    this._applyConditionModifiers(systemData);
+
+    // Movement per turn (needs conditions for canMove)
+    this._calculateMovement(systemData);
   }
 
   /**
@@ -125,6 +165,12 @@ export default class CavesOfQudActor extends Actor {
     // Apply mutation stat bonuses (F006 - systems-based approach)
     this._applyMutationBonuses(systemData);
 
+    // Apply bonuses from wielded weapon classes (e.g. Long Blade stances)
+    this._applyWeaponClassBonuses(systemData);
+
+    // Quickness from base + mutation bonuses (+ NPC modifier)
+    this._calculateQuickness(systemData);
+
     // Calculate offhand attack chances (US2)
     this._calculateOffhandChances(systemData);
 
@@ -149,6 +195,12 @@ export default class CavesOfQudActor extends Actor {
         systemData.health.value = systemData.health.max;
       }
     }
+
+    // Apply status conditions last so DV 0 overrides every bonus
+    this._applyConditionModifiers(systemData);
+
+    // Movement per turn (needs conditions for canMove)
+    this._calculateMovement(systemData);
   }
 
   /**
@@ -188,6 +240,14 @@ export default class CavesOfQudActor extends Actor {
     // MA = 4 + WIL modifier
     systemData.combat.ma = CAVESOFQUD.baseValues.maBase + wilMod;
 
+    // Resistances start from the actor's innate values (armor and mutations add to these)
+    systemData.combat.resistances = {};
+    for (let [type, config] of Object.entries(CAVESOFQUD.damageTypes)) {
+      if (config.resistible) {
+        systemData.combat.resistances[type] = systemData.resistances?.[type] || 0;
+      }
+    }
+
     // Calculate HP
     this._calculateHP(systemData);
 
@@ -212,6 +272,8 @@ export default class CavesOfQudActor extends Actor {
    * - 1 Body: AV 3 → avg 3
    * - Total AV = 2 + 3 = 5
    *
+   * Armor resistances (heat, cold, ...) are averaged the same way.
+   *
    * Source: https://wiki.cavesofqud.com/wiki/Equipment
    */
   _applyEquipmentBonuses(systemData) {
@@ -227,6 +289,7 @@ export default class CavesOfQudActor extends Actor {
 
     let totalAV = 0;
     let totalDV = 0;
+    const totalResistances = {};
 
     // Calculate AV/DV with averaging for duplicate body part types
     for (let [type, parts] of Object.entries(partsByType)) {
@@ -235,6 +298,7 @@ export default class CavesOfQudActor extends Actor {
       // Collect AV/DV values from equipment on these parts
       const avValues = [];
       const dvValues = [];
+      const resistanceSums = {};
 
       for (let part of parts) {
         let partAV = 0;
@@ -246,6 +310,10 @@ export default class CavesOfQudActor extends Actor {
           if (item && item.type === 'armor') {
             partAV = item.system.av || 0;
             partDV = item.system.dvModifier || 0;
+
+            for (let [type, value] of Object.entries(item.system.resistances || {})) {
+              resistanceSums[type] = (resistanceSums[type] || 0) + (value || 0);
+            }
           }
         }
 
@@ -267,11 +335,21 @@ export default class CavesOfQudActor extends Actor {
         totalAV += avgAV;
         totalDV += avgDV;
       }
+
+      for (let [type, sum] of Object.entries(resistanceSums)) {
+        totalResistances[type] = (totalResistances[type] || 0) + sum / parts.length;
+      }
     }
 
     // Apply equipment bonuses (round down per Qud)
     systemData.combat.av = Math.floor(totalAV);
     systemData.combat.dv += Math.floor(totalDV);
+
+    for (let [type, total] of Object.entries(totalResistances)) {
+      if (type in systemData.combat.resistances) {
+        systemData.combat.resistances[type] += Math.floor(total);
+      }
+    }
   }
 
   /**
@@ -354,6 +432,7 @@ export default class CavesOfQudActor extends Actor {
    * - Mutant: 50 base per level
    * - Modifier: +4 per INT above 10, -4 per INT below 10
    * - Retroactive when INT changes
+   * - Also works out owned skill tree powers (system.skills, see skills.mjs)
    *
    * Source: https://wiki.cavesofqud.com/wiki/Intelligence
    */
@@ -380,8 +459,12 @@ export default class CavesOfQudActor extends Actor {
     const previousTotal = systemData.skillPoints.total || 0;
     const spent = systemData.skillPoints.spent || 0;
 
+    systemData.skillPoints.perLevel = pointsPerLevel;
     systemData.skillPoints.total = totalEarned;
     systemData.skillPoints.available = totalEarned - spent;
+
+    // Owned skill tree powers and tiers (read by offhand chances)
+    systemData.skills = calculateSkills(this.items);
   }
 
   /**
@@ -400,8 +483,7 @@ export default class CavesOfQudActor extends Actor {
                      (CAVESOFQUD.baseValues.hpRegenMultiplier * (wilMod + touMod));
     systemData.hpRegen.rate = numerator / 100;
 
-    // Note: Actual per-turn application requires turn tracking system
-    // This just calculates the rate
+    // Applied per combat turn and as world time passes (see helpers/regeneration.mjs)
   }
 
   /**
@@ -434,7 +516,7 @@ export default class CavesOfQudActor extends Actor {
       if (!item.system.statBonuses) continue;
 
       const bonuses = item.system.statBonuses;
-      const level = item.system.level;
+      const level = item.getEffectiveLevel();
 
       // Apply carry capacity bonuses
       if (bonuses.carryCapacity && bonuses.carryCapacity.value !== 0) {
@@ -450,7 +532,7 @@ export default class CavesOfQudActor extends Actor {
         }
       }
 
-      // Apply movement speed bonuses (store for future movement system)
+      // Apply movement speed bonuses (used by _calculateMovement)
       if (bonuses.movementSpeed && bonuses.movementSpeed.value !== 0) {
         if (!systemData.movement) systemData.movement = { speedBonus: 0 };
 
@@ -463,7 +545,7 @@ export default class CavesOfQudActor extends Actor {
         }
       }
 
-      // Apply quickness bonuses (for future quickness system)
+      // Apply quickness bonuses (totalled in _calculateQuickness)
       if (bonuses.quickness && bonuses.quickness.value !== 0) {
         if (!systemData.quickness) systemData.quickness = { bonus: 0 };
 
@@ -475,9 +557,103 @@ export default class CavesOfQudActor extends Actor {
           systemData.quickness.bonus += formulaValue;
         }
       }
+
+      // Apply resistance bonuses (e.g. heat resistance scaling with level)
+      for (let [type, bonus] of Object.entries(bonuses.resistances || {})) {
+        if (!(type in systemData.combat.resistances)) continue;
+
+        if (bonus.type === 'flat' && bonus.value) {
+          systemData.combat.resistances[type] += bonus.value;
+        } else if (bonus.type === 'formula' && bonus.formula) {
+          systemData.combat.resistances[type] += eval(bonus.formula.replace(/level/g, level));
+        }
+      }
     }
   }
 
+  /**
+   * Calculate Quickness: base 100 + mutation bonuses (+ the NPC stat modifier)
+   * Drives energy initiative; tabletop initiative gets +1 per 10 above 100
+   * Source: https://wiki.cavesofqud.com/wiki/Quickness
+   */
+  _calculateQuickness(systemData) {
+    const bonus = systemData.quickness?.bonus || 0;
+    const valueBase = CAVESOFQUD.baseValues.quickness + bonus;
+    const value = Math.max(1, valueBase + (systemData.statModifiers?.quickness || 0));
+
+    systemData.quickness = {
+      base: CAVESOFQUD.baseValues.quickness,
+      bonus: bonus,
+      valueBase: valueBase,
+      value: value,
+      initiativeBonus: getQuicknessInitiativeBonus(value)
+    };
+  }
+
+  /**
+   * Apply weapon class bonuses to derived stats
+   * Each wielded class applies once, however many weapons of it are held
+   */
+  _applyWeaponClassBonuses(systemData) {
+    for (let className of this.getWieldedWeaponClasses()) {
+      getWeaponClass(className)?.modifyActor?.(systemData, this);
+    }
+  }
+
+  /**
+   * Apply status condition modifiers (dazed, paralyzed, ...)
+   * Sets combat.conditionToHit, canAct, canMove, actionBlockedBy and moveBlockedBy for the combat code
+   */
+  _applyConditionModifiers(systemData) {
+    const modifiers = getConditionModifiers(getActorConditions(this));
+
+    systemData.combat.dv = modifiers.dvZero ? 0 : systemData.combat.dv + modifiers.dv;
+    systemData.combat.conditionToHit = modifiers.toHit;
+    systemData.combat.canAct = modifiers.canAct;
+    systemData.combat.canMove = modifiers.canMove;
+    systemData.combat.actionBlockedBy = modifiers.blockedBy;
+    systemData.combat.moveBlockedBy = modifiers.moveBlockedBy;
+    systemData.hpRegen.blockedBy = modifiers.regenBlockedBy;
+  }
+
+  /**
+   * Calculate movement per turn in grid squares (see helpers/movement.mjs)
+   * Move speed is 100% + mutation speed bonuses, scaled by Mobility: the body's
+   * mobility against its body plan's. Sprinting adds sprintSpeedBonus%, plus
+   * the Wings sprint bonus (10 + (level - 1) × 10)%. Flying (see helpers/flight.mjs)
+   * always gets the Wings bonus and does not need Feet.
+   * Source: https://wiki.cavesofqud.com/wiki/Wings
+   */
+  _calculateMovement(systemData) {
+    const mobility = getBodyMobility(systemData.bodyParts, systemData.bodyPlan);
+    const speedBonus = systemData.movement?.speedBonus || 0;
+
+    let wingsSprintBonus = 0;
+    const wings = this.items.find(item => item.type === 'mutation' && item.system.isActive && item.name === 'Wings');
+    if (wings) {
+      const formula = CAVESOFQUD.naturalWeaponFormulas.Wings.sprintSpeedFormula;
+      wingsSprintBonus = eval(formula.replace(/level/g, wings.getEffectiveLevel()));
+    }
+    const flying = !!wings && !!systemData.flying;
+    const flightBonus = flying ? wingsSprintBonus : 0;
+    const sprintBonus = CAVESOFQUD.baseValues.sprintSpeedBonus + wingsSprintBonus - flightBonus;
+    const factor = flying ? 1 : mobility.factor;
+    const canMove = systemData.combat.canMove !== false;
+
+    systemData.movement = {
+      speedBonus: speedBonus,
+      sprintBonus: sprintBonus,
+      wingsSprintBonus: wingsSprintBonus,
+      hasWings: !!wings,
+      flying: flying,
+      mobility: mobility.current,
+      mobilityMax: mobility.max,
+      mobilityFactor: factor,
+      squares: canMove ? calculateMoveSquares(speedBonus + flightBonus, factor) : 0,
+      sprintSquares: canMove ? calculateMoveSquares(speedBonus + flightBonus + sprintBonus, factor) : 0
+    };
+  }
+
   /**
    * Calculate offhand attack chances for all parts with weapons
    * Includes wielding parts AND parts with natural weapons (F005)
@@ -544,7 +720,7 @@ export default class CavesOfQudActor extends Actor {
 
       const armorData = item.system.providesArmor;
       const bodyPartType = armorData.bodyPartType;
-      const level = item.system.level;
+      const level = item.getEffectiveLevel();
 
       // Calculate resource tracking (quill count for Quills mutation)
       if (item.system.resourceTracking && item.system.resourceTracking.enabled) {
@@ -590,49 +766,55 @@ export default class CavesOfQudActor extends Actor {
 
   /**
    * Level up the character
-   * Rolls HP gain and adds to history
+   * Rolls HP gain, grants Mutation Points, attribute points and attribute
+   * bonuses, and records the level-up so it can be undone
+   *
+   * @async
+   * @returns {Promise<Object>} History entry (see advancement.levelUp)
    */
   async levelUp() {
-    const systemData = this.system;
-    const currentLevel = systemData.level.value;
-    const toughMod = systemData.attributes.toughness.mod;
-
-    // Roll 1d4 for HP gain
-    const hpRoll = new Roll('1d4');
-    await hpRoll.evaluate();
-    const rollResult = hpRoll.total;
-
-    // Add to HP history
-    const hpGain = rollResult + toughMod;
-    systemData.health.hpHistory.push({
-      level: currentLevel + 1,
-      roll: rollResult,
-      modifier: toughMod,
-      total: hpGain
-    });
-
-    // Increment level
-    await this.update({
-      'system.level.value': currentLevel + 1,
-      'system.health.hpHistory': systemData.health.hpHistory
-    });
-
-    // prepareDerivedData will recalculate HP automatically
+    return levelUp(this);
+  }
 
-    return hpGain;
+  /**
+   * Add XP; reaching the next level prompts the owning player to level up
+   *
+   * @async
+   * @param {number} amount - XP gained
+   * @returns {Promise<number>} New XP total
+   */
+  async gainExperience(amount) {
+    const xp = (this.system.experience.value || 0) + amount;
+    await this.update({ 'system.experience.value': xp });
+    return xp;
   }
 
   /**
-   * Apply damage to the actor
-   * Updates last damage turn for HP regeneration interrupt
+   * Spend skill points on a skill tree power
+   *
+   * @async
+   * @param {string} tree - Tree key (key of CAVESOFQUD.skillTrees)
+   * @param {string} power - Power key
+   * @returns {Promise<Item>} The new skill item
+   * @throws {Error} If a prerequisite is missing or there is not enough SP
+   *
+   * @example
+   * await actor.buySkill("multiweaponFighting", "multiweaponFighting");
    */
-  async applyDamage(amount, currentTurn = 0) {
-    const newHP = Math.max(0, this.system.health.value - amount);
+  async buySkill(tree, power) {
+    return buySkillPower(this, tree, power);
+  }
 
-    await this.update({
-      'system.health.value': newHP,
-      'system.health.lastDamageTurn': currentTurn
-    });
+  /**
+   * Spend an attribute point raising an attribute by 1
+   *
+   * @async
+   * @param {string} key - Attribute key (strength, agility, ...)
+   * @returns {Promise<Object>} History entry
+   * @throws {Error} If there is no attribute point to spend
+   */
+  async spendAttributePoint(key) {
+    return spendAttributePoint(this, key);
   }
 
   /**
@@ -782,7 +964,22 @@ export default class CavesOfQudActor extends Actor {
       const removedIds = removeBodyPart(bodyParts, partId);
 
       if (removedIds.length > 0) {
-        await this.update({ 'system.bodyParts': bodyParts });
+        // Replacing the object keeps deleted keys, so delete them explicitly
+        const updateData = { 'system.bodyParts': bodyParts };
+        for (let id of removedIds) {
+          updateData[`system.bodyParts.-=${id}`] = null;
+        }
+
+        // Losing the main hand passes it to another armed part, if any
+        if (removedIds.includes(this.system.combat.mainHandId)) {
+          const nextMainHand = Object.keys(bodyParts).find(id => {
+            const equipped = bodyParts[id].equipment && this.items.get(bodyParts[id].equipment);
+            return equipped?.type === 'weapon' || !!this.getNaturalWeapon(id);
+          });
+          updateData['system.combat.mainHandId'] = nextMainHand ?? '';
+        }
+
+        await this.update(updateData);
 
         // Unequip items from removed parts
         for (let itemId of toUnequip) {
@@ -799,12 +996,277 @@ export default class CavesOfQudActor extends Actor {
     return [];
   }
 
+  /**
+   * Sever a limb (axe dismemberment or GM action)
+   * Removes the part and everything attached to it, drops their equipment
+   * into the inventory, adds a severed limb item and posts a chat message
+   *
+   * @param {string} partId - Part ID to sever
+   * @returns {Promise<Object|null>} { partName, removedIds, limb, dropped } or null if nothing was severed
+   *
+   * @example
+   * await snapjaw.dismember(snapjaw.getMainHand().id);
+   */
+  async dismember(partId) {
+    const part = this.system.bodyParts[partId];
+    if (!part) {
+      ui.notifications.warn('That body part is already gone');
+      return null;
+    }
+    if (!getDismemberableParts(this.system.bodyParts).some(p => p.id === partId)) {
+      ui.notifications.warn(`${getBodyPartDisplayName(part)} cannot be severed`);
+      return null;
+    }
+
+    // Remember the body as it was so the limb can be regrown later
+    await this.ensureBodyPlan();
+
+    const partName = getBodyPartDisplayName(part);
+    const severedParts = getBodyPartSubtree(this.system.bodyParts, partId);
+    const prosthetics = [...new Set(severedParts.map(p => p.prosthetic).filter(Boolean))]
+      .map(itemId => this.items.get(itemId))
+      .filter(Boolean);
+    const dropped = [
+      ...severedParts.map(p => p.equipment && this.items.get(p.equipment)).filter(Boolean),
+      ...prosthetics
+    ];
+
+    const removedIds = await this.removeBodyPartMutation(partId);
+    if (removedIds.length === 0) return null;
+
+    // A lost prosthetic goes back into the inventory as an uninstalled cybernetic
+    for (let item of prosthetics) {
+      await item.update({ 'system.installed': false, 'system.bodyPartId': '' });
+    }
+
+    // Prosthetics come off whole; flesh leaves a severed limb
+    const [limb] = part.prosthetic ? [null] : await this.createEmbeddedDocuments('Item', [{
+      name: `Severed ${partName.toLowerCase()}`,
+      type: 'limb',
+      system: {
+        description: `${this.name}'s ${partName.toLowerCase()}.`,
+        weight: 5,
+        originalOwner: this.name,
+        bodyPart: {
+          type: part.type,
+          variant: part.variant,
+          laterality: part.laterality
+        },
+        attachedParts: severedParts.slice(1).map(p => getBodyPartDisplayName(p))
+      }
+    }]);
+
+    const droppedNames = [...new Set(dropped.map(item => item.name))];
+    const droppedText = droppedNames.length ? `<div class="dismember-dropped">Dropped: ${droppedNames.join(', ')}</div>` : '';
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `<div class="qud-dismember-message">${this.name}'s ${partName.toLowerCase()} is severed!${droppedText}</div>`
+    });
+
+    const result = { partName, removedIds, limb, dropped };
+    Hooks.callAll('cavesofqud.dismember', this, result);
+
+    return result;
+  }
+
+  /**
+   * Record the current body as the plan lost parts regrow from
+   * Call after permanent changes to the body (e.g. a new body type)
+   * @returns {Promise<Object>} The recorded plan
+   */
+  async recordBodyPlan() {
+    const plan = createBodyPlan(this.system.bodyParts);
+    await this.update({ 'system.-=bodyPlan': null });
+    await this.update({ 'system.bodyPlan': plan });
+    return plan;
+  }
+
+  /**
+   * Record the body plan if this actor predates body plans
+   * @returns {Promise<boolean>} Whether a plan was recorded
+   */
+  async ensureBodyPlan() {
+    if (Object.keys(this.system.bodyPlan ?? {}).length > 0) return false;
+    await this.recordBodyPlan();
+    return true;
+  }
+
+  /**
+   * Get the parts missing from this actor's body plan
+   * @returns {Array} [{ planId, type, variant, laterality, name, parentPartId, regrowAt, attached }]
+   */
+  getMissingLimbs() {
+    return getMissingBodyParts(this.system.bodyPlan ?? {}, this.system.bodyParts);
+  }
+
+  /**
+   * Whether an active mutation regrows limbs on the spot
+   * @returns {boolean}
+   */
+  hasLimbRegeneration() {
+    return this.items.some(item => item.type === 'mutation' && item.system.isActive && item.name === 'Regeneration');
+  }
+
+  /**
+   * Regrow a missing limb
+   * With the Regeneration mutation (or immediate) the limb grows back now;
+   * otherwise regrowth starts and completes after CAVESOFQUD.baseValues.limbRegrowthTime
+   * of world time (see processLimbRegrowth)
+   *
+   * @param {string} planId - Body plan entry of the missing limb (see getMissingLimbs)
+   * @param {Object} options - Options
+   * @param {boolean} options.immediate - Skip the wait (GM override)
+   * @returns {Promise<Array|null>} IDs of regrown parts, or null if regrowth was only started
+   *
+   * @example
+   * const [arm] = actor.getMissingLimbs();
+   * await actor.regrowLimb(arm.planId);
+   */
+  async regrowLimb(planId, { immediate = false } = {}) {
+    const missing = this.getMissingLimbs().find(limb => limb.planId === planId);
+    if (!missing) {
+      throw new Error("That body part is not missing, or what it was attached to is missing too");
+    }
+
+    if (immediate || this.hasLimbRegeneration()) {
+      return this.completeLimbRegrowth(planId);
+    }
+
+    if (missing.regrowAt !== null) {
+      throw new Error(`${this.name}'s ${missing.name.toLowerCase()} is already regrowing`);
+    }
+
+    const regrowAt = game.time.worldTime + CAVESOFQUD.baseValues.limbRegrowthTime;
+    await this.update({ [`system.bodyPlan.${planId}.regrowAt`]: regrowAt });
+
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `<div class="qud-mutation-message">${this.name}'s ${missing.name.toLowerCase()} begins to regrow.</div>`
+    });
+
+    return null;
+  }
+
+  /**
+   * Grow a missing limb back (and everything that was attached to it)
+   * Laterality and variant come from the body plan
+   *
+   * @param {string} planId - Body plan entry of the missing limb
+   * @returns {Promise<Array>} IDs of regrown parts
+   */
+  async completeLimbRegrowth(planId) {
+    const missing = this.getMissingLimbs().find(limb => limb.planId === planId);
+    if (!missing) return [];
+
+    const bodyParts = foundry.utils.deepClone(this.system.bodyParts);
+    const plan = foundry.utils.deepClone(this.system.bodyPlan);
+    const addedIds = rebuildBodyPlanPart(bodyParts, plan, planId, missing.parentPartId);
+    if (addedIds.length === 0) return addedIds;
+
+    await this.update({ 'system.bodyParts': bodyParts, 'system.bodyPlan': plan });
+
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `<div class="qud-mutation-message">${this.name}'s ${missing.name.toLowerCase()} grows back!</div>`
+    });
+
+    return addedIds;
+  }
+
+  /**
+   * Finish every timed regrowth that is due
+   * Called by the GM client when world time advances
+   *
+   * @param {number} worldTime - Current world time
+   * @returns {Promise<Array>} IDs of regrown parts
+   */
+  async processLimbRegrowth(worldTime = game.time.worldTime) {
+    const due = this.getMissingLimbs().filter(limb => limb.regrowAt !== null && limb.regrowAt <= worldTime);
+    const addedIds = [];
+
+    for (let limb of due) {
+      addedIds.push(...await this.completeLimbRegrowth(limb.planId));
+    }
+
+    return addedIds;
+  }
+
+  /**
+   * Attach a cybernetic prosthetic in place of a missing limb
+   * The prosthetic takes the limb's place in the body plan, on the freed parent part
+   *
+   * @param {string} planId - Body plan entry of the missing limb
+   * @param {string} itemId - Cybernetic item ID (its slot must match the limb's type)
+   * @returns {Promise<Array>} IDs of added parts
+   */
+  async attachProsthetic(planId, itemId) {
+    const missing = this.getMissingLimbs().find(limb => limb.planId === planId);
+    if (!missing) {
+      throw new Error("That body part is not missing, or what it was attached to is missing too");
+    }
+
+    const item = this.items.get(itemId);
+    if (!item || item.type !== 'cybernetic') {
+      throw new Error("Only cybernetics can be attached as prosthetics");
+    }
+    if (item.system.installed) {
+      throw new Error(`${item.name} is already installed`);
+    }
+    if (item.system.slot !== missing.type) {
+      throw new Error(`${item.name} replaces a ${item.system.slot || 'nothing'}, not a ${missing.type}`);
+    }
+
+    const bodyParts = foundry.utils.deepClone(this.system.bodyParts);
+    const plan = foundry.utils.deepClone(this.system.bodyPlan);
+    const addedIds = rebuildBodyPlanPart(bodyParts, plan, planId, missing.parentPartId, {
+      variant: item.system.prostheticVariant,
+      prosthetic: item.id
+    });
+    if (addedIds.length === 0) return addedIds;
+
+    await this.update({ 'system.bodyParts': bodyParts, 'system.bodyPlan': plan });
+    await item.update({ 'system.installed': true, 'system.bodyPartId': addedIds[0] });
+
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `<div class="qud-mutation-message">${this.name} attaches ${item.name} in place of the ${missing.name.toLowerCase()}.</div>`
+    });
+
+    return addedIds;
+  }
+
+  /**
+   * Detach a prosthetic, leaving the limb missing again
+   *
+   * @param {string} itemId - Installed cybernetic item ID
+   * @returns {Promise<Array>} IDs of removed parts
+   */
+  async detachProsthetic(itemId) {
+    const item = this.items.get(itemId);
+    const partId = item?.system.bodyPartId;
+    if (!item || !this.system.bodyParts[partId]) {
+      throw new Error("That prosthetic is not attached");
+    }
+
+    const removedIds = await this.removeBodyPartMutation(partId);
+    await item.update({ 'system.installed': false, 'system.bodyPartId': '' });
+
+    return removedIds;
+  }
+
   /**
    * Apply a mutation to this actor
+   * Random growth (Chimera) is seeded; pass the seed from a previous growth message to replay it
    * @param {CavesOfQudItem} mutationItem - Mutation item with bodyModifications
+   * @param {Object} options - Options
+   * @param {number} options.seed - RNG seed for random growth (defaults to the world seed or a fresh one)
    * @returns {Array} IDs of added parts
    */
-  async applyMutation(mutationItem) {
+  async applyMutation(mutationItem, { seed = getActionSeed() } = {}) {
     if (!mutationItem || mutationItem.type !== 'mutation') {
       ui.notifications.warn('Invalid mutation item');
       return [];
@@ -815,7 +1277,11 @@ export default class CavesOfQudActor extends Actor {
     const replacedParts = []; // Track replaced parts for restoration on removal
     const createdItemIds = []; // Track any created weapon items (e.g., burrowing claws)
 
-    for (let mod of modifications) {
+    // Random choices (Chimera) are drawn first from a seeded generator, so growth
+    // can be replayed; the updates and messages below happen outside the block
+    const choices = await withSeed(seed, () => _drawMutationChoices(modifications, Object.keys(this.system.bodyParts).length));
+
+    for (let [index, mod] of modifications.entries()) {
       // Handle 'replace' action (e.g., Hand → BurrowingClaw)
       if (mod.action === 'replace') {
         const bodyParts = foundry.utils.deepClone(this.system.bodyParts);
@@ -840,7 +1306,7 @@ export default class CavesOfQudActor extends Actor {
             const createWeapon = !!mutationItem.system.createWeaponOnReplace;
             if (createWeapon && !part.equipment) {
               // Build weapon data (uses config helper for damage scaling)
-              const level = mutationItem.system.level || 1;
+              const level = mutationItem.getEffectiveLevel();
               const damage = CAVESOFQUD.getNaturalWeaponDamage('BurrowingClaws', level) || "1d2-1";
 
               const weaponData = {
@@ -880,18 +1346,17 @@ export default class CavesOfQudActor extends Actor {
       let parentId = mod.parent;
       let partType = mod.type;
       let variant = mod.variant;
-      let withChildren = mod.withChildren || [];
 
       // Handle random selections for Chimera
       if (parentId === 'random') {
-        parentId = selectRandomParent(this.system.bodyParts);
+        parentId = Object.keys(this.system.bodyParts)[choices[index].parentIndex] ?? this.system.bodyRoot;
       } else if (parentId === 'Body') {
         // Find the body root
         parentId = this.system.bodyRoot;
       }
 
       if (partType === 'random') {
-        partType = rollChimeraBodyPart();
+        partType = choices[index].type;
       }
 
       // Handle auto variant
@@ -900,10 +1365,7 @@ export default class CavesOfQudActor extends Actor {
       }
 
       // Auto-add children for certain part types if not specified
-      if (withChildren.length === 0 && mod.chimeraOrigin) {
-        if (partType === 'Arm') withChildren = ['Hand'];
-        if (partType === 'Head') withChildren = ['Face'];
-      }
+      const withChildren = _getMutationChildren(mod, partType);
 
       // Store parent info for chat BEFORE adding
       const parentPart = this.system.bodyParts[parentId];
@@ -928,7 +1390,7 @@ export default class CavesOfQudActor extends Actor {
         await ChatMessage.create({
           user: game.user.id,
           speaker: ChatMessage.getSpeaker({ actor: this }),
-          content: `<div class="qud-mutation-message">A ${addedPart.variant.toLowerCase()} grows out of your ${parentName.toLowerCase()}!</div>`
+          content: `<div class="qud-mutation-message">A ${addedPart.variant.toLowerCase()} grows out of your ${parentName.toLowerCase()}!<div class="mutation-seed">Seed: ${seed}</div></div>`
         });
       }
     }
@@ -1023,21 +1485,339 @@ export default class CavesOfQudActor extends Actor {
 
   /**
    * Apply damage to this actor
-   * Reduces current HP by the specified amount, minimum 0
+   * Reduces current HP by the specified amount, minimum 0.
+   * Elemental damage is first reduced by the matching resistance.
+   * Damage that gets through pauses HP regeneration for regenInterruptTurns
+   * (see _getRegenerationInterrupt).
    *
    * @async
    * @param {number} amount - Damage amount to apply
+   * @param {string} damageType - Damage type key (see CAVESOFQUD.damageTypes)
    * @returns {Promise<Actor>} Updated actor document
    *
    * @example
    * await targetActor.applyDamage(20);
    * // Reduces HP by 20, minimum 0
+   *
+   * await targetActor.applyDamage(20, "heat");
+   * // With 25 heat resistance, reduces HP by 15
    */
-  async applyDamage(amount) {
+  async applyDamage(amount, damageType = 'physical') {
+    const type = normalizeDamageType(damageType);
+    if (CAVESOFQUD.damageTypes[type].resistible) {
+      amount = applyResistance(amount, this.system.combat.resistances?.[type] || 0);
+    }
+
     const currentHP = this.system.health.value;
     const newHP = Math.max(0, currentHP - amount);
 
-    return await this.update({ 'system.health.value': newHP });
+    const updates = { 'system.health.value': newHP };
+    if (newHP < currentHP) Object.assign(updates, this._getRegenerationInterrupt());
+
+    return await this.update(updates);
+  }
+
+  /**
+   * Updates that pause HP regeneration after taking damage
+   * Records the combat round the damage landed in (when this actor is in a
+   * started combat) and, for regeneration outside combat, the world time.
+   *
+   * @private
+   * @returns {Object} Update data
+   */
+  _getRegenerationInterrupt() {
+    const turns = CAVESOFQUD.baseValues.regenInterruptTurns;
+    const updates = {
+      'system.hpRegen.interruptedUntilTime': game.time.worldTime + turns * CONFIG.time.roundTime
+    };
+
+    const combat = this.getActiveCombat();
+    if (combat) {
+      Object.assign(updates, {
+        'system.health.lastDamageTurn': combat.round,
+        'system.hpRegen.interruptedUntilTurn': combat.round + turns,
+        'system.hpRegen.interruptedCombatId': combat.id
+      });
+    }
+
+    return updates;
+  }
+
+  /**
+   * Find a started combat this actor is fighting in
+   *
+   * @returns {Combat|null}
+   */
+  getActiveCombat() {
+    return game.combats?.find(combat => combat.started &&
+      combat.combatants.some(combatant => combatant.actor === this)) ?? null;
+  }
+
+  /**
+   * Why HP regeneration is paused, if it is
+   *
+   * @param {Object} options - Options
+   * @param {Combat|null} options.combat - Combat to check the round against (defaults to the actor's active combat)
+   * @param {number} options.worldTime - World time to check against outside combat
+   * @returns {string|null} Reason, or null if the actor regenerates
+   */
+  getRegenerationPause({ combat = this.getActiveCombat(), worldTime = game.time.worldTime } = {}) {
+    const regen = this.system.hpRegen;
+    if (this.system.health.value <= 0) return "Dead";
+    if (regen.blockedBy) return regen.blockedBy;
+
+    if (combat) {
+      if (regen.interruptedCombatId === combat.id && combat.round < regen.interruptedUntilTurn) {
+        return `Recently damaged (until round ${regen.interruptedUntilTurn})`;
+      }
+      return null;
+    }
+
+    if (worldTime < (regen.interruptedUntilTime || 0)) return "Recently damaged";
+    return null;
+  }
+
+  /**
+   * Regenerate HP for a number of turns at the actor's regen rate
+   * Fractions of a hit point carry over in system.hpRegen.accumulated.
+   * Callers check getRegenerationPause first.
+   *
+   * @async
+   * @param {number} turns - Turns elapsed (may be fractional)
+   * @returns {Promise<number>} Whole hit points regained
+   *
+   * @example
+   * // Rate 0.24, 0.9 already accumulated
+   * await actor.regenerateHP(1); // 1 HP, 0.14 carried over
+   */
+  async regenerateHP(turns) {
+    const health = this.system.health;
+    const rate = Math.max(0, this.system.hpRegen.rate);
+    if (turns <= 0 || rate === 0) return 0;
+
+    // Nothing to heal: drop any leftover fraction
+    if (health.value >= health.max) {
+      if (this.system.hpRegen.accumulated) await this.update({ 'system.hpRegen.accumulated': 0 });
+      return 0;
+    }
+
+    // Rounding slack, so 100 turns at 0.29 HP is 29 HP and not 28.999...
+    const total = (this.system.hpRegen.accumulated || 0) + rate * turns + 1e-9;
+    const whole = Math.floor(total);
+    const gained = Math.min(whole, health.max - health.value);
+    const newHP = health.value + gained;
+
+    await this.update({
+      'system.health.value': newHP,
+      'system.hpRegen.accumulated': newHP >= health.max ? 0 : total - whole
+    });
+
+    return gained;
+  }
+
+  /**
+   * Rest until fully healed
+   * Resting is time passing: the GM advances world time by how long healing
+   * takes at the current regen rate, and HP comes back through world-time
+   * regeneration (so limb regrowth and other actors move on too). A player's
+   * rest is sent to the GM as a request to approve.
+   *
+   * @async
+   * @returns {Promise<number|null>} Seconds of rest, or null if it was requested from the GM
+   * @throws {Error} In combat, at full health, while regeneration is paused or when the actor cannot regenerate
+   */
+  async restUntilHealed() {
+    const blocker = this.getRestBlocker();
+    if (blocker) throw new Error(blocker);
+
+    if (!game.user.isGM) {
+      await requestRest(this);
+      return null;
+    }
+
+    const health = this.system.health;
+    const missing = health.max - health.value;
+    const turns = Math.ceil((missing - (this.system.hpRegen.accumulated || 0)) / this.system.hpRegen.rate);
+    const seconds = turns * CONFIG.time.roundTime;
+
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `<div class="qud-rest-message">${this.name} rests for ${_formatDuration(seconds)} and recovers ${missing} HP.</div>`
+    });
+
+    await game.time.advance(seconds);
+    return seconds;
+  }
+
+  /**
+   * Why this actor cannot rest, if it cannot
+   *
+   * @returns {string|null} Reason, or null if it can rest
+   */
+  getRestBlocker() {
+    if (this.getActiveCombat()) return `${this.name} cannot rest during combat`;
+
+    const health = this.system.health;
+    if (health.value >= health.max) return `${this.name} is already at full health`;
+
+    const pause = this.getRegenerationPause({ combat: null });
+    if (pause) return `${this.name} cannot regenerate while ${pause.toLowerCase()}`;
+
+    if (this.system.hpRegen.rate <= 0) return `${this.name} does not regenerate HP`;
+    return null;
+  }
+
+  /**
+   * Get this actor's active status conditions
+   *
+   * @returns {Array<Object>} [{ id, label, rounds, stacks, effect }] (see getActorConditions)
+   */
+  getConditions() {
+    return getActorConditions(this);
+  }
+
+  /**
+   * Check for an active status condition
+   *
+   * @param {string} id - Condition ID (key of CAVESOFQUD.conditions)
+   * @returns {boolean}
+   */
+  hasCondition(id) {
+    return this.getConditions().some(condition => condition.id === id);
+  }
+
+  /**
+   * Apply a status condition, following its stacking rule
+   *
+   * @async
+   * @param {string} id - Condition ID
+   * @param {Object} options - { rounds, stacks, source } (see applyCondition)
+   * @returns {Promise<Object|null>} { id, rounds, stacks } or null if it did not stack
+   *
+   * @example
+   * await target.applyCondition("bleeding", { stacks: 2 });
+   */
+  async applyCondition(id, options = {}) {
+    return applyCondition(this, id, options);
+  }
+
+  /**
+   * Remove a status condition
+   *
+   * @async
+   * @param {string} id - Condition ID
+   * @returns {Promise<boolean>} Whether it was active
+   */
+  async removeCondition(id) {
+    return removeCondition(this, id);
+  }
+
+  /**
+   * Get this actor's activated abilities (active mutations and skills with a cooldown)
+   *
+   * @returns {Array<Object>} [{ itemId, label, cooldown, remaining, locked, ... }] (see getActorAbilities)
+   */
+  getActivatedAbilities() {
+    return getActorAbilities(this);
+  }
+
+  /**
+   * Use an activated ability and start its Willpower-reduced cooldown
+   *
+   * @async
+   * @param {string} itemId - Mutation or skill item ID
+   * @returns {Promise<Object>} The ability, now on cooldown
+   * @throws {Error} If it is on cooldown or the actor cannot act
+   *
+   * @example
+   * await actor.useAbility(actor.items.getName("Burrowing Claws").id);
+   */
+  async useAbility(itemId) {
+    return useAbility(this, itemId);
+  }
+
+  /**
+   * This turn's movement budget, if the actor is in a started combat
+   *
+   * @returns {Object|null} { squares, spent, remaining, sprinting } (see getMovementBudget)
+   */
+  getMovementBudget() {
+    const combatant = getActorCombatant(this);
+    return combatant ? getMovementBudget(combatant) : null;
+  }
+
+  /**
+   * Sprint for the rest of this combat turn
+   *
+   * @async
+   * @returns {Promise<Object>} The new movement budget
+   * @throws {Error} Outside combat, if already sprinting, or if the actor cannot act or move
+   */
+  async sprint() {
+    return sprint(this);
+  }
+
+  /**
+   * Spend Mutation Points to raise a mutation one level
+   *
+   * @async
+   * @param {string} itemId - Mutation item ID
+   * @returns {Promise<Object>} History entry (see raiseMutation)
+   * @throws {Error} If the mutation is at its level cap or there is not enough MP
+   */
+  async raiseMutation(itemId) {
+    return raiseMutation(this, itemId);
+  }
+
+  /**
+   * The three mutations on offer to buy, drawn on first call
+   *
+   * @async
+   * @returns {Promise<Array<Object>>} [{ uuid, name, img, mutationType }]
+   * @throws {Error} For True Kin, or if no mutations are left
+   */
+  async getMutationChoices() {
+    return getMutationChoices(this);
+  }
+
+  /**
+   * Spend Mutation Points on one of the offered mutations
+   *
+   * @async
+   * @param {string} uuid - Compendium UUID of the chosen mutation
+   * @returns {Promise<Item>} The new mutation
+   * @throws {Error} If it was not offered or there is not enough MP
+   *
+   * @example
+   * const [choice] = await actor.getMutationChoices();
+   * await actor.buyMutation(choice.uuid);
+   */
+  async buyMutation(uuid) {
+    return buyMutation(this, uuid);
+  }
+
+  /**
+   * Undo the most recent level-up, attribute point, mutation raise or purchase
+   *
+   * @async
+   * @returns {Promise<Object>} The undone history entry
+   * @throws {Error} If there is nothing to undo
+   */
+  async undoLastAdvancement() {
+    return undoLastAdvancement(this);
+  }
+
+  /**
+   * Take off or land (needs an active Wings mutation to take off)
+   *
+   * @async
+   * @param {boolean} flying - true to take off, false to land
+   * @returns {Promise<boolean>} Whether the actor is now flying
+   * @throws {Error} If the actor cannot take off
+   */
+  async setFlying(flying) {
+    return setFlying(this, flying);
   }
 
   /**
@@ -1053,7 +1833,7 @@ export default class CavesOfQudActor extends Actor {
       if (item.type === 'mutation' && item.system.isActive) {
         const addedParts = item.system.addedBodyParts || [];
         if (addedParts.includes(bodyPartId)) {
-          return item.system.level || 1;
+          return item.getEffectiveLevel();
         }
       }
     }
@@ -1075,7 +1855,7 @@ export default class CavesOfQudActor extends Actor {
     const baseChance = 7 + (mutationLevel * 3);
 
     // Get skill bonus (replacement values, not cumulative)
-    // Tier 1: +20%, Tier 2: +35%, Tier 3: +50%
+    // Tier 1: +20%, Tier 2: +35%, Tier 3: +50% (see CAVESOFQUD.skillTrees)
     const skillTier = this.system.skills?.multiweaponFighting?.tier || 0;
     const skillBonus = [0, 20, 35, 50][skillTier] || 0;
 
@@ -1145,6 +1925,25 @@ export default class CavesOfQudActor extends Actor {
     return offhands;
   }
 
+  /**
+   * Get the weapon classes of every weapon this actor is wielding
+   * Includes equipped weapons and natural weapons
+   *
+   * @returns {Set<string>} Weapon class names (e.g. "Long Blade")
+   */
+  getWieldedWeaponClasses() {
+    const classes = new Set();
+
+    for (let partId of Object.keys(this.system.bodyParts ?? {})) {
+      const part = this.system.bodyParts[partId];
+      const equipped = part.equipment ? this.items.get(part.equipment) : null;
+      const weapon = equipped?.type === 'weapon' ? equipped : this.getNaturalWeapon(partId);
+      if (weapon?.system.weaponClass) classes.add(weapon.system.weaponClass);
+    }
+
+    return classes;
+  }
+
   /**
    * Get natural weapon for a body part from active mutations
    *
@@ -1171,14 +1970,16 @@ export default class CavesOfQudActor extends Actor {
 
       // Check if this body part type gets the natural weapon
       if (naturalWeapon.bodyPartTypes.includes(bodyPart.type)) {
+        const level = item.getEffectiveLevel();
+
         // Get damage based on mutation level - MUST be actual formula like "1d3-1"
-        let damage = CAVESOFQUD.getNaturalWeaponDamage(item.name, item.system.level);
+        let damage = CAVESOFQUD.getNaturalWeaponDamage(item.name, level);
         if (!damage) {
           damage = naturalWeapon.damageFormula; // Fallback
         }
         // If still a reference string, try to resolve it
         if (typeof damage === 'string' && !damage.includes('d')) {
-          damage = CAVESOFQUD.getNaturalWeaponDamage(damage, item.system.level) || "1d4";
+          damage = CAVESOFQUD.getNaturalWeaponDamage(damage, level) || "1d4";
         }
 
         // Calculate PV
@@ -1186,20 +1987,29 @@ export default class CavesOfQudActor extends Actor {
         const formula = CAVESOFQUD.naturalWeaponFormulas[item.name];
         if (formula && formula.pvFormula) {
           if (formula.pvFormula.includes("level")) {
-            pv = eval(formula.pvFormula.replace(/level/g, item.system.level));
+            pv = eval(formula.pvFormula.replace(/level/g, level));
           } else {
             pv = naturalWeapon.pv || 0;
           }
         }
 
+        // Damage type and typed components (config entry wins over item data)
+        const damageType = formula?.damageType || naturalWeapon.damageType || "physical";
+        const damageComponents = formula?.damageComponents || naturalWeapon.damageComponents || [];
+        const venom = getMutationVenom(item);
+
         return {
           id: `natural-${item.id}-${bodyPartId}`,
           name: item.name,
           type: "weapon",
           system: {
             damage: damage,
+            damageType: damageType,
+            damageComponents: damageComponents,
             pv: pv,
-            weaponType: "melee"
+            weaponType: "melee",
+            weaponClass: formula?.weaponClass || naturalWeapon.weaponClass || "",
+            venom: venom ? { type: venom, level: level, source: item.name.split(' (')[0] } : null
           }
         };
       }
@@ -1238,6 +2048,8 @@ export default class CavesOfQudActor extends Actor {
    *
    * @async
    * @param {Actor} target - Target actor
+   * @param {Object} options - Attack options
+   * @param {number} options.seed - RNG seed, to replay an attack from its chat card
    * @returns {Promise<Object>} Attack results
    * @throws {Error} If validation fails
    *
@@ -1245,7 +2057,7 @@ export default class CavesOfQudActor extends Actor {
    * const result = await playerActor.rollMultiAttack(enemyActor);
    * // Executes full attack sequence and posts to chat
    */
-  async rollMultiAttack(target) {
+  async rollMultiAttack(target, options = {}) {
     // Validate attacker
     validateAttacker(this);
 
@@ -1269,12 +2081,140 @@ export default class CavesOfQudActor extends Actor {
       await this.update({ 'system.combat.mainHandId': partsWithWeapons[0].id });
     }
 
+    // A missile or thrown weapon in the main hand fires instead of a melee attack
+    const mainHand = this.getMainHand();
+    const mainHandItem = mainHand?.equipment ? this.items.get(mainHand.equipment) : null;
+    if (mainHandItem && isRangedWeapon(mainHandItem)) {
+      return this.rollRangedAttack(target, mainHand.id, options);
+    }
+
     // Execute multi-weapon attack sequence (US2)
-    const attackResults = await executeMultiWeaponAttack(this, target);
+    const attackResults = await executeMultiWeaponAttack(this, target, options);
 
     // Create chat message
     await createCombatChatMessage(attackResults, this);
 
     return attackResults;
   }
+
+  /**
+   * Fire a missile weapon or throw a weapon at a target
+   *
+   * @async
+   * @param {Actor} target - Target actor
+   * @param {string} bodyPartId - Body part holding the weapon
+   * @param {Object} options - Attack options
+   * @param {number} options.seed - RNG seed, to replay an attack from its chat card
+   * @returns {Promise<Object>} Attack results
+   * @throws {Error} If out of range, out of ammunition or not a ranged weapon
+   *
+   * @example
+   * await archer.rollRangedAttack(target, archer.system.combat.mainHandId);
+   */
+  async rollRangedAttack(target, bodyPartId, options = {}) {
+    if (!target || !target.system) {
+      throw new Error("Invalid target");
+    }
+
+    const attackResults = await executeRangedAttack(this, target, bodyPartId, options);
+    await createCombatChatMessage(attackResults, this);
+
+    return attackResults;
+  }
+
+  /**
+   * Make a mental attack (Sunder Mind, Confusion, Domination) against a target's MA
+   *
+   * @async
+   * @param {Actor} target - Target actor
+   * @param {string} itemId - Mental mutation making the attack
+   * @param {Object} options - Attack options
+   * @param {number} options.seed - RNG seed, to replay an attack from its chat card
+   * @returns {Promise<Object>} Mental attack results (see executeMentalAttack)
+   * @throws {Error} If the item makes no mental attack or the actor cannot act
+   *
+   * @example
+   * await esper.rollMentalAttack(target, esper.items.getName("Sunder Mind").id);
+   */
+  async rollMentalAttack(target, itemId, options = {}) {
+    if (!target || !target.system) {
+      throw new Error("Invalid target");
+    }
+
+    const attackResults = await executeMentalAttack(this, target, this.items.get(itemId), options);
+    await createMentalAttackChatMessage(attackResults, this);
+
+    return attackResults;
+  }
+
+  /**
+   * Reload a weapon's magazine from carried ammunition
+   *
+   * @async
+   * @param {string} weaponId - Weapon item ID
+   * @returns {Promise<number>} Rounds loaded
+   * @throws {Error} If the weapon cannot be reloaded
+   */
+  async reloadWeapon(weaponId) {
+    const weapon = this.items.get(weaponId);
+    if (!weapon || weapon.type !== 'weapon') {
+      throw new Error("Invalid weapon");
+    }
+
+    return reloadWeapon(this, weapon);
+  }
+}
+
+/**
+ * Format a number of seconds as hours and minutes, e.g. "1h 20m"
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string}
+ */
+function _formatDuration(seconds) {
+  const totalMinutes = Math.ceil(seconds / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (!hours) return `${minutes}m`;
+  return minutes ? `${hours}h ${minutes}m` : `${hours}h`;
+}
+
+/**
+ * Draw the random choices of a mutation's body modifications (Chimera)
+ * Run inside withSeed. Random parents are drawn as an index into the body
+ * parts as they will be when that modification is reached, counting the
+ * parts added before it.
+ *
+ * @param {Array<Object>} modifications - Mutation body modifications
+ * @param {number} partCount - Number of body parts before the mutation
+ * @returns {Array<Object>} One entry per modification: { parentIndex, type } where random
+ */
+function _drawMutationChoices(modifications, partCount) {
+  return modifications.map(mod => {
+    if (mod.action === 'replace') return {};
+
+    const choice = {};
+    if (mod.parent === 'random') choice.parentIndex = randomInt(partCount);
+    if (mod.type === 'random') choice.type = rollChimeraBodyPart();
+
+    partCount += 1 + _getMutationChildren(mod, choice.type ?? mod.type).length;
+    return choice;
+  });
+}
+
+/**
+ * Child parts a body modification adds with its part
+ * Chimera arms come with a hand and heads with a face unless the
+ * modification lists its own.
+ *
+ * @param {Object} mod - Body modification
+ * @param {string} partType - Type of the added part
+ * @returns {Array<string>} Child part types
+ */
+function _getMutationChildren(mod, partType) {
+  if (mod.withChildren?.length > 0) return mod.withChildren;
+  if (!mod.chimeraOrigin) return [];
+  if (partType === 'Arm') return ['Hand'];
+  if (partType === 'Head') return ['Face'];
+  return [];
 }
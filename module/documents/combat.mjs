@@ -0,0 +1,135 @@
+/**
+ * Caves of Qud Combat Document
+ * Orders turns by Qud's energy model when the initiativeMode setting is "energy"
+ *
+ * A combatant's initiative is its starting energy. Each round's turns are
+ * worked out once, when the round begins, from the energy left over from the
+ * round before (or initiative, for round 1 and anyone joining later) and the
+ * combatants' Quickness at that moment. The schedule and leftover energy are
+ * stored in flags.cavesofqud.energyRounds, so every client builds the same
+ * turn list, going back a round restores that round's turns, and Quickness
+ * changes or late joiners only take effect from the next round.
+ * Quicker combatants appear more than once. See helpers/initiative.mjs.
+ */
+
+import { getInitiativeMode, scheduleEnergyRound } from '../helpers/initiative.mjs';
+
+export default class CavesOfQudCombat extends Combat {
+
+  /**
+   * Rounds in which nobody can afford a turn are skipped, but never more
+   * than this many in a row
+   */
+  static MAX_EMPTY_ROUNDS = 1000;
+
+  /**
+   * How many past rounds' schedules are kept for going back
+   */
+  static STORED_ROUNDS = 10;
+
+  /** @override */
+  setupTurns() {
+    const turns = super.setupTurns();
+    if (getInitiativeMode() !== 'energy' || !this.started) return turns;
+
+    const scheduled = this.getEnergySchedule()
+      .map(id => this.combatants.get(id))
+      .filter(Boolean);
+    if (scheduled.length === 0) return turns;
+
+    if (this.turn !== null) this.turn = Math.min(Math.max(this.turn, 0), scheduled.length - 1);
+    const combatant = scheduled[this.turn];
+    this.current = {
+      round: this.round,
+      turn: this.turn,
+      combatantId: combatant?.id ?? null,
+      tokenId: combatant?.tokenId ?? null
+    };
+
+    return this.turns = scheduled;
+  }
+
+  /**
+   * A round's turn order under the energy model, as stored when it began
+   * Combats started before schedules were stored fall back to working the
+   * round out from initiative.
+   *
+   * @param {number} round - Round number (defaults to the current round)
+   * @returns {Array<string>} Combatant IDs in turn order (may repeat)
+   */
+  getEnergySchedule(round = this.round) {
+    const stored = this.getFlag('cavesofqud', 'energyRounds')?.[round];
+    return stored?.schedule ?? this.scheduleEnergyRound(round).schedule;
+  }
+
+  /**
+   * Work out a round's turns from the energy left after the round before
+   * Combatants without initiative have not joined yet; ones with no
+   * leftover energy recorded start from their initiative.
+   *
+   * @param {number} round - Round being started
+   * @returns {Object} { schedule: [id, ...], energy: { [id]: leftover after the round } }
+   */
+  scheduleEnergyRound(round) {
+    const previous = this.getFlag('cavesofqud', 'energyRounds')?.[round - 1];
+
+    let entries = this.combatants
+      .filter(combatant => combatant.initiative !== null)
+      .map(combatant => ({
+        id: combatant.id,
+        energy: previous?.energy[combatant.id] ?? combatant.initiative,
+        quickness: combatant.quickness
+      }));
+    if (entries.length === 0) return { schedule: [], energy: {} };
+
+    let result = scheduleEnergyRound(entries);
+    for (let empty = 1; result.schedule.length === 0 && empty < CavesOfQudCombat.MAX_EMPTY_ROUNDS; empty++) {
+      entries = entries.map(entry => ({ ...entry, energy: result.energy[entry.id] }));
+      result = scheduleEnergyRound(entries);
+    }
+
+    return result;
+  }
+
+  /**
+   * Store the schedule of a round as it begins
+   * @override
+   */
+  async _preUpdate(changed, options, user) {
+    const allowed = await super._preUpdate(changed, options, user);
+    if (allowed === false) return false;
+
+    const round = changed.round;
+    if (getInitiativeMode() !== 'energy' || round === undefined || round <= (this.round ?? 0)) return allowed;
+
+    const stored = this.getFlag('cavesofqud', 'energyRounds') ?? {};
+    if (stored[round]) return allowed;
+
+    foundry.utils.setProperty(changed, `flags.cavesofqud.energyRounds.${round}`, this.scheduleEnergyRound(round));
+    for (let key of Object.keys(stored)) {
+      if (Number(key) <= round - CavesOfQudCombat.STORED_ROUNDS) {
+        foundry.utils.setProperty(changed, `flags.cavesofqud.energyRounds.-=${key}`, null);
+      }
+    }
+    return allowed;
+  }
+
+  /**
+   * Pick up the new round's stored schedule
+   * The core update has already recorded the previous turn by now.
+   * @override
+   */
+  _onUpdate(changed, options, userId) {
+    super._onUpdate(changed, options, userId);
+    if (getInitiativeMode() === 'energy' && ('round' in changed || 'flags' in changed)) this.setupTurns();
+  }
+
+  /**
+   * Roll starting energy for anyone missing it before the first round
+   * @override
+   */
+  async startCombat() {
+    if (getInitiativeMode() === 'energy') await this.rollAll();
+    return super.startCombat();
+  }
+}
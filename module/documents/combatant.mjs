@@ -0,0 +1,26 @@
+/**
+ * Caves of Qud Combatant Document
+ * Rolls initiative for the active initiative mode and exposes Quickness
+ */
+
+import { CAVESOFQUD } from '../helpers/config.mjs';
+import { INITIATIVE_FORMULAS, getInitiativeMode } from '../helpers/initiative.mjs';
+
+export default class CavesOfQudCombatant extends Combatant {
+
+  /**
+   * The actor's Quickness (100 if it has none)
+   * @type {number}
+   */
+  get quickness() {
+    return this.actor?.system.quickness?.value ?? CAVESOFQUD.baseValues.quickness;
+  }
+
+  /**
+   * Energy mode: 1d100 starting energy; tabletop: d20 + AGI + Quickness bonus
+   * @override
+   */
+  _getInitiativeFormula() {
+    return INITIATIVE_FORMULAS[getInitiativeMode()] ?? super._getInitiativeFormula();
+  }
+}
@@ -2,11 +2,10 @@
  * Caves of Qud Item Document
  * Extends Foundry's Item class
  *
- * Note: Mental Mutation Level Scaling
- * When mental mutations are implemented, they should:
- * - Get base level from item.system.level
- * - Add actor.getEgoModifier() to get effective level
- * - Formula: effectiveLevel = baseLevel + egoModifier
+ * Mental Mutation Level Scaling
+ * Mental mutations work at an effective level: their level plus the owner's
+ * Ego modifier (never below 1). Physical mutations use their level as is.
+ * Every mutation formula reads getEffectiveLevel(), not system.level.
  * - Example: Pyrokinesis level 5, character EGO 20 (+2) = effective level 7
  * Source: https://wiki.cavesofqud.com/wiki/Ego
  */
@@ -29,4 +28,23 @@ export default class CavesOfQudItem extends Item {
 
     // Future: Item-specific calculations
   }
+
+  /**
+   * Level a mutation works at
+   * Mental mutations add the owner's Ego modifier (minimum 1); everything else uses its level.
+   * Owner attributes are only ready once the actor has prepared its derived data,
+   * so this is worked out on demand rather than stored.
+   *
+   * @returns {number} Effective level
+   *
+   * @example
+   * // Level 3 Pyrokinesis on a character with EGO 12 (-2)
+   * item.getEffectiveLevel(); // 1
+   */
+  getEffectiveLevel() {
+    const level = this.system.level || 1;
+    if (this.type !== 'mutation' || this.system.mutationType !== 'mental' || !this.actor) return level;
+
+    return Math.max(1, level + this.actor.getEgoModifier());
+  }
 }
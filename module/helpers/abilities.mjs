@@ -0,0 +1,277 @@
+/**
+ * Activated Abilities
+ *
+ * Active mutations and skills with a cooldown are activated abilities.
+ * Using one starts its effective cooldown (the base cooldown reduced by
+ * Willpower, see calculateEffectiveCooldown), stored on the item in
+ * system.cooldownRemaining and counted down one per combat round, or, for
+ * actors not in combat, one per CONFIG.time.roundTime seconds of world time.
+ * Abilities are used from the actor sheet or the token HUD.
+ *
+ * What an ability does is up to its registered definition, looked up by item
+ * name; without one, using it posts the item's effect text to chat.
+ * Modules can add definitions with registerAbility().
+ */
+
+import { calculateEffectiveCooldown } from './cooldowns.mjs';
+import { assertCanAct } from './conditions.mjs';
+import { getWorldActors } from './regeneration.mjs';
+
+/**
+ * Registered ability definitions, keyed by item name
+ * @type {Object<string, Object>}
+ */
+export const abilities = {};
+
+/**
+ * Register (or replace) an ability definition
+ *
+ * @param {string} name - Name of the mutation or skill item that grants it
+ * @param {Object} definition - { label, cooldown, use(actor, item) }
+ *   - label: button label (defaults to the item name)
+ *   - cooldown: base cooldown when the item sets none
+ *   - use: async; may return chat text; throw to cancel without starting the cooldown
+ *
+ * @example
+ * registerAbility("Flaming Ray", {
+ *   cooldown: 10,
+ *   async use(actor, item) { return `${actor.name} shoots a ray of flame!`; }
+ * });
+ */
+export function registerAbility(name, definition) {
+  abilities[name] = { label: name, ...definition };
+}
+
+/**
+ * Look up an ability definition
+ *
+ * @param {string} name - Item name
+ * @returns {Object|null} Ability definition
+ */
+export function getAbility(name) {
+  return (name && abilities[name]) || null;
+}
+
+/**
+ * List an actor's activated abilities
+ *
+ * @param {Actor} actor - Actor
+ * @returns {Array<Object>} [{ itemId, name, label, img, type, description, baseCooldown, cooldown, remaining, locked }]
+ */
+export function getActorAbilities(actor) {
+  const reduction = actor.system.cooldownReduction?.reductionPercent || 0;
+  const list = [];
+
+  for (let item of actor.items) {
+    if (item.type === 'mutation' && !item.system.isActive) continue;
+    if (item.type !== 'mutation' && item.type !== 'skill') continue;
+
+    const definition = getAbility(item.name);
+    const baseCooldown = item.system.cooldown || definition?.cooldown || 0;
+    if (!baseCooldown) continue;
+
+    const remaining = item.system.cooldownRemaining || 0;
+    list.push({
+      itemId: item.id,
+      name: item.name,
+      label: definition?.label ?? item.name,
+      img: item.img,
+      type: item.type,
+      description: item.system.effect || '',
+      baseCooldown: baseCooldown,
+      cooldown: calculateEffectiveCooldown(baseCooldown, reduction),
+      remaining: remaining,
+      locked: remaining > 0
+    });
+  }
+
+  return list;
+}
+
+/**
+ * Use an activated ability and start its cooldown
+ *
+ * @async
+ * @param {Actor} actor - Actor using the ability
+ * @param {string} itemId - Mutation or skill item granting it
+ * @returns {Promise<Object>} The ability (see getActorAbilities), with cooldown started
+ * @throws {Error} If it is not an ability, is on cooldown or the actor cannot act
+ */
+export async function useAbility(actor, itemId) {
+  const ability = getActorAbilities(actor).find(entry => entry.itemId === itemId);
+  if (!ability) {
+    throw new Error(`That is not one of ${actor.name}'s activated abilities`);
+  }
+  if (ability.locked) {
+    throw new Error(`${ability.label} is on cooldown (${ability.remaining} round${ability.remaining === 1 ? '' : 's'} left)`);
+  }
+  assertCanAct(actor);
+
+  const item = actor.items.get(itemId);
+  const outcome = await getAbility(item.name)?.use?.(actor, item);
+
+  await item.update({ 'system.cooldownRemaining': ability.cooldown });
+
+  const text = outcome ?? ability.description;
+  await ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content: `<div class="qud-ability-message"><strong>${actor.name}</strong> uses ${ability.label}.` +
+      `${text ? `<div>${text}</div>` : ''}` +
+      `<div class="ability-cooldown">Cooldown: ${ability.cooldown} rounds</div></div>`
+  });
+
+  Hooks.callAll('cavesofqud.useAbility', actor, item, ability);
+
+  return { ...ability, remaining: ability.cooldown, locked: true };
+}
+
+/**
+ * Count an actor's ability cooldowns down
+ *
+ * @async
+ * @param {Actor} actor - Actor
+ * @param {number} rounds - Rounds elapsed
+ * @returns {Promise<Array<string>>} Names of abilities that came off cooldown
+ */
+export async function tickAbilityCooldowns(actor, rounds = 1) {
+  const updates = [];
+  const ready = [];
+
+  for (let item of actor.items) {
+    const remaining = item.system.cooldownRemaining || 0;
+    if (remaining <= 0) continue;
+
+    const next = Math.max(0, remaining - rounds);
+    updates.push({ _id: item.id, 'system.cooldownRemaining': next });
+    if (next === 0) ready.push(item.name);
+  }
+
+  if (updates.length > 0) {
+    await actor.updateEmbeddedDocuments('Item', updates);
+  }
+
+  return ready;
+}
+
+/**
+ * Register ability hooks
+ * Called once from the init hook
+ */
+export function registerAbilityHooks() {
+  Hooks.on('updateCombat', onUpdateCombat);
+  Hooks.on('updateWorldTime', onUpdateWorldTime);
+  Hooks.on('renderTokenHUD', onRenderTokenHUD);
+}
+
+/**
+ * Count cooldowns down for every combatant when a new round starts
+ * Only the GM client ticks, and stepping back a round does not
+ *
+ * @param {Combat} combat - Updated combat
+ * @param {Object} changed - Changed data
+ * @param {Object} options - Update options
+ */
+async function onUpdateCombat(combat, changed, options) {
+  if (!game.user.isGM) return;
+  if (!('round' in changed) || options.direction < 0) return;
+
+  const actors = new Set(combat.combatants.map(combatant => combatant.actor).filter(Boolean));
+  for (let actor of actors) {
+    await tickAbilityCooldowns(actor);
+  }
+}
+
+/**
+ * Count cooldowns down for actors outside combat as world time passes
+ * A round passes each time world time crosses a multiple of
+ * CONFIG.time.roundTime, so short steps add up. Actors in a started combat
+ * count down per combat round instead.
+ *
+ * @param {number} worldTime - New world time
+ * @param {number} delta - Seconds advanced
+ */
+async function onUpdateWorldTime(worldTime, delta) {
+  if (!game.user.isGM || !(delta > 0)) return;
+
+  const rounds = Math.floor(worldTime / CONFIG.time.roundTime) - Math.floor((worldTime - delta) / CONFIG.time.roundTime);
+  if (rounds <= 0) return;
+
+  for (let actor of getWorldActors()) {
+    if (actor.getActiveCombat?.()) continue;
+    await tickAbilityCooldowns(actor, rounds);
+  }
+}
+
+/**
+ * Add an abilities button to the token HUD, opening a palette of the
+ * token actor's abilities (locked ones show their remaining cooldown)
+ *
+ * @param {TokenHUD} hud - Token HUD
+ * @param {jQuery|HTMLElement} html - Rendered HUD (HTMLElement from v13)
+ */
+function onRenderTokenHUD(hud, html) {
+  const actor = hud.object?.actor;
+  if (!actor?.isOwner) return;
+
+  const list = getActorAbilities(actor);
+  if (list.length === 0) return;
+
+  const root = html instanceof HTMLElement ? html : html[0];
+  const column = root.querySelector('.col.right');
+  if (!column) return;
+
+  const button = document.createElement('div');
+  button.classList.add('control-icon', 'qud-abilities');
+  button.title = 'Activated Abilities';
+  button.innerHTML = '<i class="fas fa-bolt"></i>';
+
+  // Built from elements, since labels and images come from item data
+  const palette = document.createElement('div');
+  palette.classList.add('qud-ability-palette');
+  for (let ability of list) {
+    const entry = document.createElement('div');
+    entry.classList.add('qud-ability');
+    if (ability.locked) entry.classList.add('locked');
+    entry.dataset.itemId = ability.itemId;
+    entry.title = ability.locked ? `On cooldown: ${ability.remaining} rounds left` : `Cooldown ${ability.cooldown} rounds`;
+
+    const img = document.createElement('img');
+    img.src = ability.img;
+    img.alt = '';
+    const label = document.createElement('span');
+    label.textContent = ability.label;
+    entry.append(img, label);
+
+    if (ability.locked) {
+      const remaining = document.createElement('span');
+      remaining.classList.add('ability-remaining');
+      remaining.innerHTML = '<i class="fas fa-lock"></i> ';
+      remaining.append(String(ability.remaining));
+      entry.append(remaining);
+    }
+    palette.append(entry);
+  }
+
+  button.addEventListener('click', event => {
+    if (palette.contains(event.target)) return;
+    event.preventDefault();
+    palette.classList.toggle('active');
+  });
+
+  palette.addEventListener('click', async event => {
+    const entry = event.target.closest('.qud-ability');
+    if (!entry || entry.classList.contains('locked')) return;
+    event.preventDefault();
+
+    try {
+      await useAbility(actor, entry.dataset.itemId);
+      hud.render();
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  });
+
+  button.appendChild(palette);
+  column.appendChild(button);
+}
@@ -0,0 +1,317 @@
+/**
+ * Advancement
+ *
+ * Characters earn XP (system.experience.value); reaching the next level's
+ * threshold on Qud's XP table prompts the owning player to level up. Each
+ * level grants:
+ * - HP: 1d4 + Toughness modifier (kept in system.health.hpHistory)
+ * - skill points (worked out from level, see actor._calculateSkillPoints)
+ * - Mutation Points for Mutants (see mutation-points.mjs)
+ * - an attribute point every few levels, spent with spendAttributePoint
+ * - +1 to every attribute at some levels
+ *
+ * Level-ups, attribute points, skills and Mutation Point purchases are all recorded
+ * in system.advancement.history; undoLastAdvancement reverts the most
+ * recent one, so a level can only be undone once what it paid for is.
+ * Source: https://wiki.cavesofqud.com/wiki/Level
+ */
+
+import { CAVESOFQUD } from './config.mjs';
+import { getLevelMutationPoints, undoMutationPointEntry } from './mutation-points.mjs';
+import { undoSkillEntry } from './skills.mjs';
+
+/**
+ * Actors with a level-up prompt open on this client
+ * @type {Set<string>}
+ */
+const openPrompts = new Set();
+
+/**
+ * Total XP needed to reach a level
+ *
+ * @param {number} level - Character level
+ * @returns {number} XP (0 for level 1)
+ *
+ * @example
+ * getXPForLevel(2); // 220
+ * getXPForLevel(3); // 505
+ */
+export function getXPForLevel(level) {
+  if (level <= 1) return 0;
+  const { xpMultiplier, xpBase } = CAVESOFQUD.advancement;
+  return xpMultiplier * level ** 3 + xpBase;
+}
+
+/**
+ * An actor's XP against the next level
+ *
+ * @param {Actor} actor - Actor
+ * @returns {Object} { xp, level, next, pending } - pending: levels the XP already pays for
+ */
+export function getXPProgress(actor) {
+  const xp = actor.system.experience?.value || 0;
+  const level = actor.system.level.value;
+
+  let pending = 0;
+  while (xp >= getXPForLevel(level + pending + 1)) pending++;
+
+  return { xp: xp, level: level, next: getXPForLevel(level + 1), pending: pending };
+}
+
+/**
+ * What reaching a level grants (the HP roll excepted)
+ *
+ * @param {Actor} actor - Actor
+ * @param {number} level - Level being reached
+ * @returns {Object} { level, skillPoints, mp, attributePoints, allAttributes }
+ *
+ * @example
+ * getLevelGains(mutant, 6); // { level: 6, skillPoints: 50, mp: 1, attributePoints: 1, allAttributes: 1 }
+ */
+export function getLevelGains(actor, level) {
+  const { attributePointEvery, allAttributesFrom, allAttributesEvery } = CAVESOFQUD.advancement;
+
+  return {
+    level: level,
+    skillPoints: actor.system.skillPoints.perLevel || 0,
+    mp: getLevelMutationPoints(actor),
+    attributePoints: level % attributePointEvery === 0 ? 1 : 0,
+    allAttributes: level >= allAttributesFrom && (level - allAttributesFrom) % allAttributesEvery === 0 ? 1 : 0
+  };
+}
+
+/**
+ * Gain a level: roll HP and grant MP, attribute points and attribute bonuses
+ *
+ * @async
+ * @param {Actor} actor - Actor
+ * @returns {Promise<Object>} History entry { type: "level", level, roll, hp, skillPoints, mp, attributePoints, allAttributes }
+ */
+export async function levelUp(actor) {
+  const system = actor.system;
+  const gains = getLevelGains(actor, system.level.value + 1);
+  const toughMod = system.attributes.toughness.mod;
+
+  const roll = await new Roll('1d4').evaluate();
+  const entry = { type: 'level', ...gains, roll: roll.total, hp: roll.total + toughMod };
+
+  const updates = {
+    'system.level.value': gains.level,
+    'system.health.hpHistory': [
+      ...system.health.hpHistory,
+      { level: gains.level, roll: roll.total, modifier: toughMod, total: entry.hp }
+    ],
+    'system.mutationPoints.available': (system.mutationPoints.available || 0) + gains.mp,
+    'system.attributePoints.available': (system.attributePoints.available || 0) + gains.attributePoints,
+    'system.advancement.history': [...(system.advancement.history ?? []), entry]
+  };
+  for (let [key, attribute] of Object.entries(system.attributes)) {
+    if (gains.allAttributes) updates[`system.attributes.${key}.value`] = attribute.value + gains.allAttributes;
+  }
+
+  // prepareDerivedData works out the new max HP and skill points
+  await actor.update(updates);
+  return entry;
+}
+
+/**
+ * Spend an attribute point raising an attribute by 1
+ *
+ * @async
+ * @param {Actor} actor - Actor
+ * @param {string} key - Attribute key (strength, agility, ...)
+ * @returns {Promise<Object>} History entry { type: "attribute", attribute, from, to }
+ * @throws {Error} If there is no point to spend or no such attribute
+ */
+export async function spendAttributePoint(actor, key) {
+  const attribute = actor.system.attributes[key];
+  if (!attribute) {
+    throw new Error(`Unknown attribute: ${key}`);
+  }
+
+  const points = actor.system.attributePoints;
+  if ((points.available || 0) < 1) {
+    throw new Error(`${actor.name} has no attribute points to spend`);
+  }
+
+  const entry = { type: 'attribute', attribute: key, from: attribute.value, to: attribute.value + 1 };
+  await actor.update({
+    [`system.attributes.${key}.value`]: entry.to,
+    'system.attributePoints.available': points.available - 1,
+    'system.attributePoints.spent': (points.spent || 0) + 1,
+    'system.advancement.history': [...(actor.system.advancement.history ?? []), entry]
+  });
+
+  return entry;
+}
+
+/**
+ * Undo the most recent level-up, attribute point, skill or Mutation Point purchase
+ *
+ * @async
+ * @param {Actor} actor - Actor
+ * @returns {Promise<Object>} The undone history entry
+ * @throws {Error} If there is nothing to undo
+ */
+export async function undoLastAdvancement(actor) {
+  const system = actor.system;
+  const history = [...(system.advancement.history ?? [])];
+  const entry = history.pop();
+  if (!entry) {
+    throw new Error(`${actor.name} has nothing to undo`);
+  }
+
+  const updates = { 'system.advancement.history': history };
+
+  if (entry.type === 'level') {
+    const hpHistory = [...system.health.hpHistory];
+    if (hpHistory.at(-1)?.level === entry.level) hpHistory.pop();
+
+    Object.assign(updates, {
+      'system.level.value': entry.level - 1,
+      'system.health.hpHistory': hpHistory,
+      'system.mutationPoints.available': (system.mutationPoints.available || 0) - (entry.mp || 0),
+      'system.attributePoints.available': (system.attributePoints.available || 0) - (entry.attributePoints || 0)
+    });
+    for (let [key, attribute] of Object.entries(system.attributes)) {
+      if (entry.allAttributes) updates[`system.attributes.${key}.value`] = attribute.value - entry.allAttributes;
+    }
+  } else if (entry.type === 'attribute') {
+    const attribute = system.attributes[entry.attribute];
+    Object.assign(updates, {
+      [`system.attributes.${entry.attribute}.value`]: attribute.value - 1,
+      'system.attributePoints.available': (system.attributePoints.available || 0) + 1,
+      'system.attributePoints.spent': Math.max(0, (system.attributePoints.spent || 0) - 1)
+    });
+  } else if (entry.type === 'skill') {
+    Object.assign(updates, await undoSkillEntry(actor, entry));
+  } else {
+    Object.assign(updates, await undoMutationPointEntry(actor, entry));
+  }
+
+  await actor.update(updates, { cavesofqud: { undo: true } });
+  return entry;
+}
+
+/**
+ * Describe a history entry for the sheet
+ *
+ * @param {Object} entry - History entry
+ * @returns {string}
+ */
+export function describeAdvancement(entry) {
+  switch (entry.type) {
+    case 'level':
+      return `Reached level ${entry.level} (${_describeGains(entry).join(', ')})`;
+    case 'attribute':
+      return `Raised ${_attributeLabel(entry.attribute)} to ${entry.to}`;
+    case 'skill':
+      return `Learned ${entry.name} (-${entry.cost} SP)`;
+    case 'raise':
+      return `Raised ${entry.name} to level ${entry.to} (-${entry.cost} MP)`;
+    case 'buy':
+      return `Gained ${entry.name} (-${entry.cost} MP)`;
+    default:
+      return entry.type;
+  }
+}
+
+/**
+ * Ask the player to level up, and do it if they accept
+ * Levels up once; the next prompt follows if the XP pays for more.
+ *
+ * @async
+ * @param {Actor} actor - Actor with a level pending
+ * @returns {Promise<Object|null>} History entry, or null if declined
+ */
+export async function promptLevelUp(actor) {
+  if (openPrompts.has(actor.id)) return null;
+
+  const gains = getLevelGains(actor, actor.system.level.value + 1);
+  const toughMod = actor.system.attributes.toughness.mod;
+  const lines = [
+    `1d4 ${toughMod >= 0 ? '+' : '-'} ${Math.abs(toughMod)} HP`,
+    ..._describeGains(gains)
+  ];
+
+  let entry = null;
+  openPrompts.add(actor.id);
+  try {
+    const confirmed = await Dialog.confirm({
+      title: `${actor.name}: Level ${gains.level}`,
+      content: `<p>${actor.name} has enough XP to reach level ${gains.level}, gaining:</p>` +
+        `<ul>${lines.map(line => `<li>${line}</li>`).join('')}</ul>`,
+      defaultYes: true
+    });
+    if (!confirmed) return null;
+
+    entry = await levelUp(actor);
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content: `<div class="qud-level-message"><strong>${actor.name}</strong> reaches level ${entry.level}: ` +
+        `${_describeGains(entry).join(', ')}.</div>`
+    });
+  } finally {
+    openPrompts.delete(actor.id);
+  }
+
+  if (entry && getXPProgress(actor).pending > 0) promptLevelUp(actor);
+  return entry;
+}
+
+/**
+ * Register advancement hooks
+ * Called once from the init hook
+ */
+export function registerAdvancementHooks() {
+  Hooks.on('updateActor', onUpdateActor);
+}
+
+/**
+ * Prompt for a level-up when a character's XP reaches the next level
+ * The prompt goes to an active player owning the character, or the GM.
+ * Undoing a level does not prompt straight away.
+ *
+ * @param {Actor} actor - Updated actor
+ * @param {Object} changed - Changed data
+ * @param {Object} options - Update options
+ */
+function onUpdateActor(actor, changed, options) {
+  if (actor.type !== 'character' || options.cavesofqud?.undo) return;
+  if (!foundry.utils.hasProperty(changed, 'system.experience.value') &&
+    !foundry.utils.hasProperty(changed, 'system.level.value')) return;
+
+  const owner = game.users.find(user => user.active && !user.isGM && actor.testUserPermission(user, 'OWNER'));
+  if ((owner ?? game.users.activeGM) !== game.user) return;
+
+  if (getXPProgress(actor).pending > 0) promptLevelUp(actor);
+}
+
+/**
+ * List what a level grants, leaving out what it does not
+ *
+ * @private
+ * @param {Object} gains - Level gains or history entry
+ * @returns {Array<string>}
+ */
+function _describeGains(gains) {
+  const lines = [];
+  if (gains.hp !== undefined) lines.push(`+${gains.hp} HP`);
+  if (gains.skillPoints) lines.push(`+${gains.skillPoints} skill points`);
+  if (gains.mp) lines.push(`+${gains.mp} MP`);
+  if (gains.attributePoints) lines.push(`+${gains.attributePoints} attribute point`);
+  if (gains.allAttributes) lines.push(`+${gains.allAttributes} to all attributes`);
+  return lines;
+}
+
+/**
+ * Display name of an attribute
+ *
+ * @private
+ * @param {string} key - Attribute key
+ * @returns {string}
+ */
+function _attributeLabel(key) {
+  return key.charAt(0).toUpperCase() + key.slice(1);
+}
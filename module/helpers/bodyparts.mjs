@@ -5,6 +5,7 @@
  */
 
 import { CAVESOFQUD } from './config.mjs';
+import { randomInt } from './random.mjs';
 
 /**
  * Counter for generating unique body part IDs
@@ -318,6 +319,35 @@ export function removeBodyPart(bodyParts, partId) {
   return removedIds;
 }
 
+/**
+ * Get a body part and everything attached to it
+ * @param {Object} bodyParts - Body parts object
+ * @param {string} partId - Part ID
+ * @returns {Array} The part followed by its descendants (depth first)
+ */
+export function getBodyPartSubtree(bodyParts, partId) {
+  const part = bodyParts[partId];
+  if (!part) return [];
+
+  return [part, ...part.children.flatMap(childId => getBodyPartSubtree(bodyParts, childId))];
+}
+
+/**
+ * Get the parts that can be severed (appendages such as arms, hands, feet and tails)
+ * The last remaining head is never offered
+ * @param {Object} bodyParts - Body parts object
+ * @returns {Array} Array of severable parts
+ */
+export function getDismemberableParts(bodyParts) {
+  const parts = Object.values(bodyParts);
+  const headCount = parts.filter(part => part.type === 'Head').length;
+
+  return parts.filter(part => {
+    if (!part.parent || !part.properties?.appendage) return false;
+    return part.type !== 'Head' || headCount > 1;
+  });
+}
+
 /**
  * Add body part with automatic child parts (e.g., Arm adds Hand)
  * @param {Object} bodyParts - Body parts object
@@ -355,9 +385,117 @@ export function addBodyPartWithChildren(bodyParts, type, parentId, variant = nul
   return addedIds;
 }
 
+/**
+ * Record a body plan: the shape of a body to regrow lost parts from
+ * Entries are keyed by the part ID at the time of recording; partId tracks
+ * the live part standing in for the entry (null-ish or stale once lost)
+ * @param {Object} bodyParts - Body parts object
+ * @returns {Object} Plan { [planId]: { type, variant, laterality, parent, children, partId, regrowAt } }
+ */
+export function createBodyPlan(bodyParts) {
+  const plan = {};
+
+  for (let [id, part] of Object.entries(bodyParts)) {
+    plan[id] = {
+      type: part.type,
+      variant: part.variant,
+      laterality: part.laterality,
+      parent: part.parent,
+      children: [...part.children],
+      partId: id,
+      regrowAt: null
+    };
+  }
+
+  return plan;
+}
+
+/**
+ * Find the parts of a body plan that are missing from the body
+ * Only the top of each missing subtree is returned (a lost arm, not its hand too)
+ * @param {Object} plan - Body plan (see createBodyPlan)
+ * @param {Object} bodyParts - Current body parts object
+ * @returns {Array} [{ planId, type, variant, laterality, name, parentPartId, regrowAt, attached }]
+ */
+export function getMissingBodyParts(plan, bodyParts) {
+  const isPresent = (planId) => !!bodyParts[plan[planId]?.partId];
+  const missing = [];
+
+  for (let [planId, entry] of Object.entries(plan)) {
+    if (isPresent(planId) || !entry.parent) continue;
+    if (!isPresent(entry.parent)) continue;
+
+    missing.push({
+      planId: planId,
+      type: entry.type,
+      variant: entry.variant,
+      laterality: entry.laterality,
+      name: getBodyPartDisplayName(entry),
+      parentPartId: plan[entry.parent].partId,
+      regrowAt: entry.regrowAt ?? null,
+      attached: entry.children.map(childId => plan[childId] && getBodyPartDisplayName(plan[childId])).filter(Boolean)
+    });
+  }
+
+  return missing;
+}
+
+/**
+ * Rebuild a body plan entry and everything below it onto a live parent part
+ * Each planned part is added with its own laterality and variant, and its
+ * plan entry is pointed at the part made for it
+ * @param {Object} bodyParts - Body parts object (modified)
+ * @param {Object} plan - Body plan (modified: partId and regrowAt of rebuilt entries)
+ * @param {string} planId - Plan entry to rebuild
+ * @param {string} parentPartId - Live parent part ID
+ * @param {Object} options - Options
+ * @param {string} options.variant - Variant override for the top part (e.g. "Robo-Arm")
+ * @param {string} options.prosthetic - Cybernetic item ID to mark the rebuilt parts with
+ * @returns {Array} IDs of added parts, the rebuilt top part first
+ */
+export function rebuildBodyPlanPart(bodyParts, plan, planId, parentPartId, { variant = null, prosthetic = null } = {}) {
+  const addedIds = [...addBodyPlanParts(bodyParts, plan, planId, parentPartId, variant).values()];
+
+  if (prosthetic) {
+    for (let id of addedIds) bodyParts[id].prosthetic = prosthetic;
+  }
+
+  return addedIds;
+}
+
+/**
+ * Add the part for a body plan entry, then its planned children below it
+ * A child that cannot be added is left out along with everything below it.
+ * @param {Object} bodyParts - Body parts object (modified)
+ * @param {Object} plan - Body plan (modified)
+ * @param {string} planId - Plan entry to add
+ * @param {string} parentPartId - Live parent part ID
+ * @param {string} variant - Variant override (optional)
+ * @returns {Map<string, string>} Plan ID → ID of the part added for it (empty if the part could not be added)
+ */
+function addBodyPlanParts(bodyParts, plan, planId, parentPartId, variant = null) {
+  const partIds = new Map();
+  const entry = plan[planId];
+
+  const part = addBodyPart(bodyParts, entry.type, parentPartId, variant || entry.variant, entry.laterality);
+  if (!part) return partIds;
+
+  entry.partId = part.id;
+  entry.regrowAt = null;
+  partIds.set(planId, part.id);
+
+  for (let childId of entry.children.filter(id => plan[id])) {
+    for (let [childPlanId, childPartId] of addBodyPlanParts(bodyParts, plan, childId, part.id)) {
+      partIds.set(childPlanId, childPartId);
+    }
+  }
+
+  return partIds;
+}
+
 /**
  * Roll for random Chimera body part type
- * Uses weighted selection per Qud wiki
+ * Uses weighted selection per Qud wiki (seedable via withSeed)
  * @returns {string} Body part type
  */
 export function rollChimeraBodyPart() {
@@ -374,7 +512,7 @@ export function rollChimeraBodyPart() {
   };
 
   const total = 19;
-  let roll = Math.floor(Math.random() * total);
+  let roll = randomInt(total);
 
   for (let [type, weight] of Object.entries(weights)) {
     roll -= weight;
@@ -387,7 +525,7 @@ export function rollChimeraBodyPart() {
 }
 
 /**
- * Select random body part to be parent (for Chimera)
+ * Select random body part to be parent (for Chimera, seedable via withSeed)
  * @param {Object} bodyParts - Body parts object
  * @returns {string} Random body part ID
  */
@@ -395,6 +533,6 @@ export function selectRandomParent(bodyParts) {
   const allParts = Object.values(bodyParts);
   if (allParts.length === 0) return null;
 
-  const randomIndex = Math.floor(Math.random() * allParts.length);
+  const randomIndex = randomInt(allParts.length);
   return allParts[randomIndex].id;
 }
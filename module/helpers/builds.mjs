@@ -0,0 +1,315 @@
+/**
+ * Character Builds
+ *
+ * Moves character builds in and out of Foundry:
+ * - Qud build codes, as copied from the game's build library (base64 JSON,
+ *   usually gzipped), or the same JSON pasted as is. Purchased attribute
+ *   points are added to the genotype's base value and the calling or caste
+ *   bonuses, as at embark.
+ * - portable build files exported from an actor (format "cavesofqud-build"),
+ *   which keep final attribute values, mutation levels and skills.
+ *
+ * Both are read into the same shape before import:
+ * { name, characterType, subtype, package, attributes, mutationPoints, mutations: [{ name, level }], cybernetics: [name], skills }
+ * Mutations are matched by name against the mutation compendiums (physical
+ * first); ones with no match are skipped and reported.
+ * Source: https://wiki.cavesofqud.com/wiki/Character_creation
+ */
+
+import { CAVESOFQUD } from './config.mjs';
+import {
+  createPreparedCharacter,
+  getFinalAttributes,
+  getGenotype,
+  getPackages,
+  getStartingCyberneticData,
+  getStartingSkillData
+} from './character-creation.mjs';
+
+/**
+ * Format name written into exported build files
+ * @type {string}
+ */
+export const BUILD_FORMAT = 'cavesofqud-build';
+
+/**
+ * Read a Qud build code, Qud build JSON or exported build file
+ *
+ * @async
+ * @param {string} text - Build code or JSON
+ * @returns {Promise<Object>} Build { name, characterType, subtype, package, attributes, mutationPoints, mutations, cybernetics, skills }
+ * @throws {Error} If the text is not a build
+ *
+ * @example
+ * const build = await parseBuild(code);
+ * // { characterType: "Mutant", subtype: "Marauder", package: "marauder", mutations: [{ name: "Multiple Arms", level: 1 }], ... }
+ */
+export async function parseBuild(text) {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) {
+    throw new Error("Paste a build code or build JSON");
+  }
+
+  let data;
+  try {
+    data = JSON.parse(trimmed.startsWith('{') ? trimmed : await _decodeBuildCode(trimmed));
+  } catch (error) {
+    throw new Error("That is not a Qud build code or build JSON");
+  }
+
+  return Array.isArray(data.modules) ? _readQudBuild(data) : _readBuildFile(data);
+}
+
+/**
+ * Create a character from a parsed build
+ *
+ * @async
+ * @param {Object} build - Build from parseBuild
+ * @param {Object} options - Options
+ * @param {string} options.name - Name to use instead of the build's
+ * @returns {Promise<Object>} { actor, skipped: [mutation names with no compendium match] }
+ */
+export async function importBuild(build, { name } = {}) {
+  const index = await _getMutationIndex();
+  const items = [];
+  const skipped = [];
+
+  for (let mutation of build.mutations) {
+    const entry = index.get(mutation.name.toLowerCase());
+    const source = entry ? await fromUuid(entry.uuid) : null;
+    if (!source) {
+      skipped.push(mutation.name);
+      continue;
+    }
+    const data = source.toObject();
+    data.system.level = mutation.level;
+    items.push(data);
+  }
+
+  const packageConfig = getPackages(build.characterType)[build.package];
+  const skills = build.skills ?? packageConfig?.skills ?? [];
+  items.push(...skills.map(skill => getStartingSkillData(skill)));
+  items.push(...build.cybernetics.map(cybernetic => _cyberneticData(cybernetic)));
+
+  const actor = await createPreparedCharacter({
+    name: name?.trim() || build.name || "Imported Character",
+    characterType: build.characterType,
+    attributes: build.attributes,
+    mutationPoints: build.mutationPoints,
+    creation: {
+      characterType: build.characterType,
+      package: build.package,
+      packageLabel: packageConfig?.label ?? build.subtype,
+      cybernetic: _cyberneticKey(build.cybernetics[0]) ?? ''
+    }
+  }, items);
+
+  return { actor: actor, skipped: skipped };
+}
+
+/**
+ * A portable build file for an actor
+ * Attribute values are the actor's own, before equipment and mutation
+ * bonuses.
+ *
+ * @param {Actor} actor - Actor
+ * @returns {Object} Build file data
+ */
+export function exportBuild(actor) {
+  const source = actor._source.system;
+  const attributes = {};
+  for (let key of Object.keys(CAVESOFQUD.attributes)) {
+    attributes[key] = source.attributes[key].value;
+  }
+
+  return {
+    format: BUILD_FORMAT,
+    version: 1,
+    name: actor.name,
+    genotype: source.characterType,
+    subtype: actor.getFlag('cavesofqud', 'creation')?.packageLabel ?? '',
+    attributes: attributes,
+    mutationPoints: source.mutationPoints?.available || 0,
+    mutations: actor.items.filter(item => item.type === 'mutation')
+      .map(item => ({ name: item.name, level: item.system.level })),
+    cybernetics: actor.items.filter(item => item.type === 'cybernetic').map(item => item.name),
+    skills: actor.items.filter(item => item.type === 'skill').map(item => item.name)
+  };
+}
+
+/**
+ * Read the modules of a build from the game's build library
+ *
+ * @private
+ * @param {Object} data - Build JSON { modules: [{ moduleType, data }] }
+ * @returns {Object} Build
+ */
+function _readQudBuild(data) {
+  const moduleData = (name) => data.modules.find(entry => entry.moduleType?.endsWith(name))?.data ?? {};
+
+  const characterType = _genotypeKey(moduleData('QudGenotypeModule').Genotype);
+  const subtype = moduleData('QudSubtypeModule').Subtype ?? '';
+  const packageKey = _packageKey(characterType, subtype);
+
+  const purchased = moduleData('QudAttributesModule').PointsPurchased ?? {};
+  const bought = {};
+  for (let key of Object.keys(CAVESOFQUD.attributes)) {
+    bought[key] = getGenotype(characterType).base + (purchased[_attributeName(key)] || 0);
+  }
+
+  return {
+    name: moduleData('QudCustomizeCharacterModule').name ?? '',
+    characterType: characterType,
+    subtype: subtype,
+    package: packageKey,
+    attributes: getFinalAttributes({ characterType: characterType, package: packageKey, attributes: bought }),
+    mutationPoints: 0,
+    mutations: (moduleData('QudMutationsModule').selections ?? []).map(selection => ({
+      name: selection.Mutation,
+      level: selection.Level ?? selection.Count ?? 1
+    })).filter(mutation => mutation.name),
+    cybernetics: (moduleData('QudCyberneticsModule').selections ?? []).map(selection => selection.Cybernetic).filter(Boolean),
+    skills: null
+  };
+}
+
+/**
+ * Read an exported build file
+ *
+ * @private
+ * @param {Object} data - Build file data (see exportBuild)
+ * @returns {Object} Build
+ * @throws {Error} If it is not a build file
+ */
+function _readBuildFile(data) {
+  if (data.format !== BUILD_FORMAT) {
+    throw new Error("That is not a Qud build code or build JSON");
+  }
+
+  const characterType = _genotypeKey(data.genotype);
+  const genotype = getGenotype(characterType);
+  const attributes = {};
+  for (let key of Object.keys(CAVESOFQUD.attributes)) {
+    attributes[key] = Number(data.attributes?.[key]) || genotype.base;
+  }
+
+  return {
+    name: data.name ?? '',
+    characterType: characterType,
+    subtype: data.subtype ?? '',
+    package: _packageKey(characterType, data.subtype),
+    attributes: attributes,
+    mutationPoints: Number(data.mutationPoints) || 0,
+    mutations: (data.mutations ?? []).map(mutation => ({
+      name: mutation.name,
+      level: Number(mutation.level) || 1
+    })).filter(mutation => mutation.name),
+    cybernetics: data.cybernetics ?? [],
+    skills: data.skills ?? null
+  };
+}
+
+/**
+ * Decode a build code to JSON text
+ *
+ * @private
+ * @async
+ * @param {string} code - Base64 build code
+ * @returns {Promise<string>}
+ */
+async function _decodeBuildCode(code) {
+  const bytes = Uint8Array.from(atob(code.replace(/\s/g, '')), char => char.charCodeAt(0));
+
+  // gzip streams start 1f 8b
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Mutations in the mutation compendiums, by lower-case name
+ * Earlier compendiums win when two have the same name.
+ *
+ * @private
+ * @async
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function _getMutationIndex() {
+  const index = new Map();
+  for (let id of CAVESOFQUD.mutationPoints.packs) {
+    const pack = game.packs.get(id);
+    if (!pack) continue;
+
+    for (let entry of await pack.getIndex()) {
+      const key = entry.name.toLowerCase();
+      if (!index.has(key)) index.set(key, { uuid: entry.uuid ?? `Compendium.${id}.${entry._id}` });
+    }
+  }
+  return index;
+}
+
+/**
+ * characterType for a genotype name
+ * Qud calls Mutants "Mutated Human".
+ *
+ * @private
+ * @param {string} genotype - "Mutant", "TrueKin", "True Kin", "Mutated Human"...
+ * @returns {string} "Mutant" or "TrueKin"
+ */
+function _genotypeKey(genotype) {
+  return String(genotype ?? '').replace(/\s/g, '').toLowerCase() === 'truekin' ? 'TrueKin' : 'Mutant';
+}
+
+/**
+ * Calling or caste key for a subtype name
+ *
+ * @private
+ * @param {string} characterType - "Mutant" or "TrueKin"
+ * @param {string} subtype - Subtype name or key
+ * @returns {string} Key, or "" if there is no such calling or caste
+ */
+function _packageKey(characterType, subtype) {
+  const name = String(subtype ?? '').toLowerCase();
+  const match = Object.entries(getPackages(characterType))
+    .find(([key, config]) => key.toLowerCase() === name || config.label.toLowerCase() === name);
+  return match?.[0] ?? '';
+}
+
+/**
+ * Key of a starting cybernetic by name
+ *
+ * @private
+ * @param {string} name - Cybernetic name
+ * @returns {string|undefined}
+ */
+function _cyberneticKey(name) {
+  return Object.entries(CAVESOFQUD.characterCreation.cybernetics)
+    .find(([key, config]) => config.label.toLowerCase() === String(name ?? '').toLowerCase())?.[0];
+}
+
+/**
+ * Item data for an imported cybernetic
+ * Ones not in CAVESOFQUD.characterCreation.cybernetics are created by name.
+ *
+ * @private
+ * @param {string} name - Cybernetic name
+ * @returns {Object} Item data
+ */
+function _cyberneticData(name) {
+  const key = _cyberneticKey(name);
+  if (key) return getStartingCyberneticData(key);
+  return { name: name, type: 'cybernetic', img: 'icons/svg/upgrade.svg', system: { installed: true } };
+}
+
+/**
+ * Qud's name for an attribute
+ *
+ * @private
+ * @param {string} key - Attribute key
+ * @returns {string} e.g. "Strength"
+ */
+function _attributeName(key) {
+  return key.charAt(0).toUpperCase() + key.slice(1);
+}
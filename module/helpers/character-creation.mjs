@@ -0,0 +1,325 @@
+/**
+ * Character Creation
+ *
+ * Builds a new character the way Qud's embark screen does:
+ * - genotype: Mutant or True Kin (system.characterType)
+ * - attributes bought from the genotype's point budget, starting from its
+ *   base value; each point above 18 costs 2, and none go above 24
+ * - a calling (Mutant) or arcology caste (True Kin), adding attribute
+ *   bonuses and starting skills
+ * - Mutants spend starting MP on mutations from the mutation compendiums
+ *   (each costs its mpCost); what is left over is kept to spend later.
+ *   True Kin start with one cybernetic instead.
+ *
+ * A build is a plain object, so the creator dialog and macros share it:
+ * { name, characterType, package, attributes: { strength: 14, ... }, mutations: [uuid, ...], cybernetic }
+ * Source: https://wiki.cavesofqud.com/wiki/Character_creation
+ */
+
+import { CAVESOFQUD } from './config.mjs';
+import { getSkillPower } from './skills.mjs';
+
+/**
+ * Points it costs to raise an attribute from the genotype's base value
+ *
+ * @param {number} value - Bought value
+ * @param {number} base - Genotype base value
+ * @returns {number} Points
+ *
+ * @example
+ * getPointBuyCost(18, 10); // 8
+ * getPointBuyCost(20, 10); // 12
+ */
+export function getPointBuyCost(value, base) {
+  const { expensiveAbove } = CAVESOFQUD.characterCreation;
+  const cheap = Math.max(0, Math.min(value, expensiveAbove) - base);
+  const expensive = Math.max(0, value - Math.max(base, expensiveAbove));
+  return cheap + expensive * 2;
+}
+
+/**
+ * Points a build has spent on attributes
+ *
+ * @param {Object} build - Character build
+ * @returns {Object} { spent, budget, remaining }
+ */
+export function getPointBuySummary(build) {
+  const genotype = getGenotype(build.characterType);
+  const spent = Object.keys(CAVESOFQUD.attributes).reduce(
+    (total, key) => total + getPointBuyCost(build.attributes?.[key] ?? genotype.base, genotype.base), 0);
+
+  return { spent: spent, budget: genotype.points, remaining: genotype.points - spent };
+}
+
+/**
+ * Genotype settings
+ *
+ * @param {string} characterType - "Mutant" or "TrueKin"
+ * @returns {Object} { label, points, base, mutationPoints }
+ * @throws {Error} If there is no such genotype
+ */
+export function getGenotype(characterType) {
+  const genotype = CAVESOFQUD.characterCreation.genotypes[characterType];
+  if (!genotype) {
+    throw new Error(`Unknown genotype: ${characterType}`);
+  }
+  return genotype;
+}
+
+/**
+ * Callings (Mutant) or castes (True Kin) open to a genotype
+ *
+ * @param {string} characterType - "Mutant" or "TrueKin"
+ * @returns {Object} { [key]: { label, attributes, skills } }
+ */
+export function getPackages(characterType) {
+  const { callings, castes } = CAVESOFQUD.characterCreation;
+  return characterType === 'TrueKin' ? castes : callings;
+}
+
+/**
+ * Final attribute values: bought values plus the calling or caste bonuses
+ *
+ * @param {Object} build - Character build
+ * @returns {Object} { strength: 16, ... }
+ */
+export function getFinalAttributes(build) {
+  const genotype = getGenotype(build.characterType);
+  const bonuses = getPackages(build.characterType)[build.package]?.attributes ?? {};
+
+  const attributes = {};
+  for (let key of Object.keys(CAVESOFQUD.attributes)) {
+    attributes[key] = (build.attributes?.[key] ?? genotype.base) + (bonuses[key] || 0);
+  }
+  return attributes;
+}
+
+/**
+ * Mutations a new Mutant can start with
+ *
+ * @async
+ * @returns {Promise<Array<Object>>} [{ uuid, name, img, mutationType, cost }] sorted by name
+ */
+export async function getStartingMutations() {
+  const mutations = [];
+  for (let id of CAVESOFQUD.mutationPoints.packs) {
+    const pack = game.packs.get(id);
+    if (!pack) continue;
+
+    const index = await pack.getIndex({ fields: ['system.mutationType', 'system.mpCost'] });
+    for (let entry of index) {
+      mutations.push({
+        uuid: entry.uuid ?? `Compendium.${id}.${entry._id}`,
+        name: entry.name,
+        img: entry.img,
+        mutationType: entry.system?.mutationType ?? 'physical',
+        // Mutations without a cost set count as 1 MP
+        cost: entry.system?.mpCost || 1
+      });
+    }
+  }
+
+  return mutations.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * What is wrong with a build, if anything
+ *
+ * @param {Object} build - Character build
+ * @param {Array<Object>} mutations - Starting mutations (see getStartingMutations)
+ * @returns {Array<string>} Problems; empty if the build can be created
+ */
+export function validateBuild(build, mutations = []) {
+  const problems = [];
+  const genotypes = CAVESOFQUD.characterCreation.genotypes;
+  if (!genotypes[build.characterType]) return [`Unknown genotype: ${build.characterType}`];
+
+  const genotype = genotypes[build.characterType];
+  const { attributeMax } = CAVESOFQUD.characterCreation;
+
+  if (!build.name?.trim()) problems.push("Your character needs a name");
+  if (!getPackages(build.characterType)[build.package]) {
+    problems.push(build.characterType === 'TrueKin' ? "Choose a caste" : "Choose a calling");
+  }
+
+  for (let [key, label] of Object.entries(CAVESOFQUD.attributes)) {
+    const value = build.attributes?.[key] ?? genotype.base;
+    if (value < genotype.base || value > attributeMax) {
+      problems.push(`${game.i18n.localize(label)} must be between ${genotype.base} and ${attributeMax}`);
+    }
+  }
+
+  const points = getPointBuySummary(build);
+  if (points.remaining < 0) problems.push(`Attributes cost ${points.spent} points, ${points.budget} are available`);
+
+  if (build.characterType === 'TrueKin') {
+    if ((build.mutations ?? []).length > 0) problems.push("True Kin cannot start with mutations");
+    if (!CAVESOFQUD.characterCreation.cybernetics[build.cybernetic]) problems.push("Choose a starting cybernetic");
+  } else {
+    const mp = getMutationSpend(build, mutations);
+    if (mp.unknown.length > 0) problems.push(`Unknown mutations: ${mp.unknown.join(', ')}`);
+    if (mp.remaining < 0) problems.push(`Mutations cost ${mp.spent} MP, ${mp.budget} are available`);
+  }
+
+  return problems;
+}
+
+/**
+ * MP a Mutant build spends on starting mutations
+ *
+ * @param {Object} build - Character build
+ * @param {Array<Object>} mutations - Starting mutations (see getStartingMutations)
+ * @returns {Object} { spent, budget, remaining, unknown: [uuid, ...] }
+ */
+export function getMutationSpend(build, mutations) {
+  const budget = getGenotype(build.characterType).mutationPoints || 0;
+  const unknown = [];
+  let spent = 0;
+
+  for (let uuid of build.mutations ?? []) {
+    const mutation = mutations.find(choice => choice.uuid === uuid);
+    if (mutation) spent += mutation.cost;
+    else unknown.push(uuid);
+  }
+
+  return { spent: spent, budget: budget, remaining: budget - spent, unknown: unknown };
+}
+
+/**
+ * Create a ready-to-play character from a build
+ * Mutations that grow body parts are applied, HP starts full and the build
+ * choices are kept in flags.cavesofqud.creation.
+ *
+ * @async
+ * @param {Object} build - Character build
+ * @returns {Promise<Actor>} The new character
+ * @throws {Error} If the build is not valid
+ *
+ * @example
+ * await createCharacter({
+ *   name: "Mehmet", characterType: "Mutant", package: "marauder",
+ *   attributes: { strength: 20, agility: 16, toughness: 18, intelligence: 10, willpower: 10, ego: 10 },
+ *   mutations: ["Compendium.cavesofqud.physicalmutations.Item.abc123"]
+ * });
+ */
+export async function createCharacter(build) {
+  const isTrueKin = build.characterType === 'TrueKin';
+  const mutations = isTrueKin ? [] : await getStartingMutations();
+
+  const problems = validateBuild(build, mutations);
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+
+  const packageConfig = getPackages(build.characterType)[build.package];
+
+  const items = [];
+  for (let uuid of build.mutations ?? []) {
+    const source = await fromUuid(uuid);
+    if (!source) {
+      throw new Error("That mutation is no longer in its compendium");
+    }
+    const data = source.toObject();
+    data.system.level = 1;
+    items.push(data);
+  }
+  items.push(...packageConfig.skills.map(name => getStartingSkillData(name)));
+  if (isTrueKin) items.push(getStartingCyberneticData(build.cybernetic));
+
+  return createPreparedCharacter({
+    name: build.name,
+    characterType: build.characterType,
+    attributes: getFinalAttributes(build),
+    mutationPoints: isTrueKin ? 0 : getMutationSpend(build, mutations).remaining,
+    creation: {
+      characterType: build.characterType,
+      package: build.package,
+      packageLabel: packageConfig.label,
+      cybernetic: isTrueKin ? build.cybernetic : ''
+    }
+  }, items);
+}
+
+/**
+ * Create a character with its items, apply its mutations and fill its HP
+ * Shared by createCharacter and build imports (see builds.mjs); no rules
+ * are checked here.
+ *
+ * @async
+ * @param {Object} character - Character
+ * @param {string} character.name - Name
+ * @param {string} character.characterType - "Mutant" or "TrueKin"
+ * @param {Object} character.attributes - Final attribute values { strength: 16, ... }
+ * @param {number} character.mutationPoints - Unspent MP
+ * @param {Object} character.creation - Build choices, kept in flags.cavesofqud.creation
+ * @param {Array<Object>} items - Item data to create on the character
+ * @returns {Promise<Actor>} The new character
+ */
+export async function createPreparedCharacter({ name, characterType, attributes, mutationPoints = 0, creation = {} }, items = []) {
+  const system = {
+    characterType: characterType,
+    'mutationPoints.available': mutationPoints
+  };
+  for (let [key, value] of Object.entries(attributes)) {
+    system[`attributes.${key}.value`] = value;
+  }
+
+  const actor = await Actor.create({
+    name: name.trim(),
+    type: 'character',
+    system: foundry.utils.expandObject(system),
+    flags: { cavesofqud: { creation: creation } }
+  });
+
+  const created = await actor.createEmbeddedDocuments('Item', items);
+  for (let item of created) {
+    if (item.type === 'mutation' && (item.system.bodyModifications ?? []).length > 0) {
+      await actor.applyMutation(item);
+    }
+  }
+
+  await actor.update({ 'system.health.value': actor.system.health.max });
+  return actor;
+}
+
+/**
+ * Item data for a starting skill
+ * Skills named after a skill tree power count as that power; starting
+ * skills cost no SP.
+ *
+ * @param {string} name - Skill name
+ * @returns {Object} Item data
+ */
+export function getStartingSkillData(name) {
+  const data = { name: name, type: 'skill', img: 'icons/svg/book.svg', system: {} };
+  const power = getSkillPower(data);
+  if (power) {
+    Object.assign(data.system, {
+      tree: power.tree,
+      power: power.power,
+      effect: power.config.effect ?? ''
+    });
+  }
+  return data;
+}
+
+/**
+ * Item data for a starting cybernetic, already installed
+ *
+ * @param {string} key - Cybernetic key (see CAVESOFQUD.characterCreation.cybernetics)
+ * @returns {Object} Item data
+ */
+export function getStartingCyberneticData(key) {
+  const config = CAVESOFQUD.characterCreation.cybernetics[key];
+  return {
+    name: config.label,
+    type: 'cybernetic',
+    img: 'icons/svg/upgrade.svg',
+    system: {
+      slot: config.slot,
+      licenseTier: config.licenseTier,
+      installed: true,
+      description: `<p>${config.effect}</p>`
+    }
+  };
+}
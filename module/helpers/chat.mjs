@@ -0,0 +1,144 @@
+/**
+ * Chat Card Interactions
+ * Button handlers for combat cards (Apply Damage, Apply Half, Undo, Re-roll Penetration, Apply Effects),
+ * and the short "/roll 8pv4" penetration syntax
+ *
+ * The card's full attack result is stored in flags.cavesofqud.attack (or
+ * flags.cavesofqud.mentalAttack for mental attack cards); every button
+ * updates those flags and re-renders the card from them.
+ */
+
+import {
+  applyAttackDamage,
+  undoAttackDamage,
+  rerollAttackPenetration,
+  applyAttackEffects,
+  updateCombatChatMessage
+} from './combat.mjs';
+import {
+  rerollMentalAttack,
+  applyMentalAttackEffects,
+  updateMentalAttackChatMessage
+} from './mental.mjs';
+import { normalizePenetrationFormula } from '../dice/penetration.mjs';
+
+/**
+ * Card handlers by flag: weapon attacks and mental attacks
+ * Damage application and undo work the same way for both
+ */
+const CARD_TYPES = {
+  attack: {
+    reroll: rerollAttackPenetration,
+    applyEffects: applyAttackEffects,
+    update: updateCombatChatMessage
+  },
+  mentalAttack: {
+    reroll: rerollMentalAttack,
+    applyEffects: applyMentalAttackEffects,
+    update: updateMentalAttackChatMessage
+  }
+};
+
+/**
+ * Register chat hooks
+ * Called once from the init hook
+ */
+export function registerChatHooks() {
+  Hooks.on('chatMessage', onChatMessage);
+  Hooks.on('renderChatMessage', onRenderChatMessage);
+}
+
+/**
+ * Roll chat commands
+ */
+const ROLL_COMMAND = /^\/(r|roll|pr|publicroll|gmr|gmroll|br|broll|blindroll|sr|selfroll)\s/i;
+
+/**
+ * Accept "8pv4" as well as the registered "8dpv4" in roll commands and
+ * inline rolls, by sending the message again with the formula rewritten
+ * Only formulas change: a command's flavor text after "#" and the text
+ * around inline rolls are left alone.
+ *
+ * @param {ChatLog} log - Chat log
+ * @param {string} message - Message text
+ * @returns {boolean|void} false to drop the original message
+ */
+function onChatMessage(log, message) {
+  let rewritten;
+  const command = message.match(ROLL_COMMAND);
+  if (command) {
+    const flavorStart = message.indexOf('#');
+    const end = flavorStart === -1 ? message.length : flavorStart;
+    rewritten = command[0] + normalizePenetrationFormula(message.slice(command[0].length, end)) + message.slice(end);
+  } else {
+    rewritten = message.replace(/\[\[(.*?)\]\]/g, (match, formula) => `[[${normalizePenetrationFormula(formula)}]]`);
+  }
+  if (rewritten === message) return;
+
+  log.processMessage(rewritten);
+  return false;
+}
+
+/**
+ * Wire up combat card buttons when a message is rendered
+ * Only the GM can change HP or re-roll, so players never see the buttons
+ *
+ * @param {ChatMessage} message - Rendered message
+ * @param {jQuery} html - Message HTML
+ */
+function onRenderChatMessage(message, html) {
+  const flag = Object.keys(CARD_TYPES).find(key => message.getFlag('cavesofqud', key));
+  if (!flag) return;
+
+  const buttons = html.find('.combat-card .card-buttons');
+  if (!game.user.isGM) {
+    buttons.remove();
+    return;
+  }
+
+  buttons.find('button[data-action]').click(event => onCombatCardAction(event, message, flag));
+}
+
+/**
+ * Handle a combat card button click
+ *
+ * @param {MouseEvent} event - Click event
+ * @param {ChatMessage} message - Combat card message
+ * @param {string} flag - Flag holding the attack data (key of CARD_TYPES)
+ */
+async function onCombatCardAction(event, message, flag) {
+  event.preventDefault();
+  const button = event.currentTarget;
+  button.disabled = true;
+
+  const card = CARD_TYPES[flag];
+  const attackData = message.getFlag('cavesofqud', flag);
+
+  try {
+    let updated;
+    switch (button.dataset.action) {
+      case 'apply-damage':
+        updated = await applyAttackDamage(attackData);
+        break;
+      case 'apply-half':
+        updated = await applyAttackDamage(attackData, 0.5);
+        break;
+      case 'undo-damage':
+        updated = await undoAttackDamage(attackData);
+        break;
+      case 'reroll-penetration':
+        updated = await card.reroll(attackData);
+        break;
+      case 'apply-effects':
+        updated = await card.applyEffects(attackData);
+        break;
+      default:
+        return;
+    }
+
+    await card.update(message, updated);
+  } catch (error) {
+    ui.notifications.warn(error.message);
+    button.disabled = false;
+  }
+}
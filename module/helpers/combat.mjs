@@ -5,11 +5,19 @@
  * - Attack validation
  * - Main hand and offhand attack execution
  * - Combat chat message generation
- * - Damage application
+ * - Damage application, undo and penetration re-rolls from chat cards
  */
 
 import { getWieldingBodyParts, canWieldWeapon, getBodyPartDisplayName } from './bodyparts.mjs';
-import { resolvePenetration } from './dice.mjs';
+import { resolvePenetration, formatTripletDetails } from './dice.mjs';
+import { withSeed, getActionSeed } from './random.mjs';
+import { getDamageProfile, calculateResistedDamage, addDamageByType } from './damage.mjs';
+import { CAVESOFQUD } from './config.mjs';
+import { isRangedWeapon, measureTokenDistance, getRangeBand, consumeAmmo } from './ranged.mjs';
+import { getWeaponClass } from './weapon-classes.mjs';
+import { assertCanAct, applyCondition, revertCondition } from './conditions.mjs';
+import { resolveVenom } from './venom.mjs';
+import { assertMeleeReach } from './flight.mjs';
 
 /**
  * Validate that an actor can perform attacks
@@ -18,6 +26,9 @@ import { resolvePenetration } from './dice.mjs';
  * @throws {Error} If validation fails
  */
 export function validateAttacker(actor) {
+  // Paralyzed, frozen or stunned creatures cannot attack
+  assertCanAct(actor);
+
   // Must have at least one part with a weapon (equipped OR natural)
   const partsWithWeapons = [];
 
@@ -70,24 +81,48 @@ export function validateMainHandId(actor, bodyPartId) {
 /**
  * Execute single hand's attack sequence (to-hit → penetration → damage)
  *
+ * A natural 20 on the to-hit die is a critical hit: it always hits and adds
+ * +1 PV. Before penetration is rolled, the `cavesofqud.criticalHit` hook is
+ * called so weapon classes and skills can raise the PV bonus or attach
+ * effects (see CriticalHitContext below).
+ *
+ * The weapon's accuracy is added to the to-hit roll. Missile and thrown
+ * weapons penetrate with their own PV; melee weapons add their PV to the
+ * attacker's PV, with the STR part capped by the weapon's strengthCap
+ * (see getAttackPenetration).
+ *
  * @async
  * @param {Item} weapon - Weapon item document
  * @param {Actor} attacker - Attacking actor
  * @param {Actor} target - Target actor
  * @param {string} bodyPartId - ID of attacking body part
+ * @param {Object} options - Attack options
+ * @param {number} options.toHitModifier - Added to the to-hit roll (e.g. range penalty)
  * @returns {Promise<Object>} Hand attack result
  */
-export async function executeHandAttack(weapon, attacker, target, bodyPartId) {
+export async function executeHandAttack(weapon, attacker, target, bodyPartId, { toHitModifier = 0 } = {}) {
   const bodyPart = attacker.system.bodyParts[bodyPartId];
   const bodyPartName = getBodyPartDisplayName(bodyPart);
+  const ranged = isRangedWeapon(weapon);
+  const weaponClass = getWeaponClass(weapon.system.weaponClass);
 
-  // Phase 1: To-hit roll (1d20 + AGI modifier vs DV)
+  // Weapon class adjustments (e.g. Long Blade stances)
+  const classContext = { attacker, target, weapon, bodyPartId, toHitBonus: 0, pvBonus: 0, effects: [] };
+  weaponClass?.modifyAttack?.(classContext);
+
+  // Phase 1: To-hit roll (1d20 + AGI modifier [+ accuracy] [+ range penalty] [+ class bonus] [+ conditions] vs DV)
   const agiMod = attacker.system.attributes.agility.mod;
-  const toHitFormula = `1d20 + ${agiMod}`;
+  const accuracy = weapon.system.accuracy || 0;
+  const conditionToHit = attacker.system.combat.conditionToHit || 0;
+  const toHitFormula = ['1d20', agiMod, accuracy, toHitModifier, classContext.toHitBonus, conditionToHit]
+    .filter((term, i) => i < 2 || term)
+    .join(' + ');
   const toHitRoll = await new Roll(toHitFormula).evaluate();
   const toHitTotal = toHitRoll.total;
+  const naturalRoll = toHitRoll.dice[0]?.total ?? 0;
+  const critical = naturalRoll >= CAVESOFQUD.baseValues.criticalRoll;
   const targetDV = target.system.combat.dv;
-  const hit = toHitTotal >= targetDV;
+  const hit = critical || toHitTotal >= targetDV;
 
   const result = {
     bodyPartId: bodyPartId,
@@ -95,11 +130,22 @@ export async function executeHandAttack(weapon, attacker, target, bodyPartId) {
     weaponId: weapon.id,
     weaponName: weapon.name,
     weaponDamage: weapon.system.damage,
+    damageProfile: getDamageProfile(weapon),
     weaponPV: weapon.system.pv || 0,  // Store weapon PV for display
+    accuracy: accuracy,
+    conditionToHit: conditionToHit,
     toHitRoll: toHitRoll,
     toHitTotal: toHitTotal,
+    naturalRoll: naturalRoll,
     targetDV: targetDV,
-    hit: hit
+    hit: hit,
+    critical: critical,
+    ranged: ranged,
+    weaponClass: weaponClass ? weapon.system.weaponClass : '',
+    weaponClassLabel: weaponClass?.label ?? '',
+    classEffects: classContext.effects.map(_plainEffect),
+    hitEffects: [],
+    venom: weapon.system.venom ?? null
   };
 
   // If miss, stop here
@@ -107,34 +153,207 @@ export async function executeHandAttack(weapon, attacker, target, bodyPartId) {
     return result;
   }
 
-  // Phase 2: Penetration resolution
-  const attackerPV = attacker.system.combat.pv + (weapon.system.pv || 0);
+  // Phase 2: Penetration resolution, Phase 3: damage
+  const pen = getAttackPenetration(attacker, weapon);
+  let attackerPV = pen.attackerPV + classContext.pvBonus;
   const defenderAV = target.system.combat.av;
-  const penetration = await resolvePenetration(attackerPV, defenderAV);
 
-  result.penetration = penetration;
+  result.strengthBonus = pen.strengthBonus;
+  result.strengthMod = pen.strengthMod;
+  result.strengthCap = pen.strengthCap;
+  result.strengthCapped = pen.capped;
 
-  // If no penetrations, stop here (no damage)
-  if (penetration.totalPenetrations === 0) {
-    result.damageRolls = [];
-    result.totalDamage = 0;
-    return result;
+  if (critical) {
+    const crit = resolveCriticalHit(weapon, attacker, target, bodyPartId);
+    attackerPV += crit.pvBonus;
+    result.critPVBonus = crit.pvBonus;
+    result.critEffects = crit.effects;
   }
 
-  // Phase 3: Damage calculation (roll weapon damage once per penetration)
+  result.attackerPV = attackerPV;
+  result.targetAV = defenderAV;
+  Object.assign(result, await rollPenetrationDamage(result.damageProfile, attackerPV, defenderAV));
+
+  // Phase 4: On-hit effects (weapon class dismember and daze, stinger venom)
+  result.hitEffects = await resolveHitEffects(attacker, target, result);
+
+  return result;
+}
+
+/**
+ * Resolve all on-hit effects for a hand: weapon class first, then venom
+ * Rolls happen inside the caller's seeded context.
+ *
+ * @async
+ * @param {Actor} attacker - Attacking actor
+ * @param {Actor} target - Target actor
+ * @param {Object} result - Hand result (after penetration and damage)
+ * @returns {Promise<Array<Object>>} Effects [{key, label, description, ...}]
+ */
+export async function resolveHitEffects(attacker, target, result) {
+  return [
+    ...await resolveWeaponClassHit(attacker, target, result),
+    ...await resolveVenom(target, result)
+  ];
+}
+
+/**
+ * Run a weapon class's on-hit behavior for a resolved hand
+ * Rolls happen inside the caller's seeded context.
+ *
+ * @async
+ * @param {Actor} attacker - Attacking actor
+ * @param {Actor} target - Target actor
+ * @param {Object} result - Hand result (after penetration and damage)
+ * @returns {Promise<Array<Object>>} Effects [{key, label, description, ...}]
+ */
+export async function resolveWeaponClassHit(attacker, target, result) {
+  const weaponClass = getWeaponClass(result.weaponClass);
+  if (!weaponClass?.onHit || !result.hit) return [];
+
+  const context = { attacker, target, result, effects: [] };
+  await weaponClass.onHit(context);
+  return context.effects.map(_plainEffect);
+}
+
+/**
+ * Copy an effect to plain data for the card and message flags
+ *
+ * @private
+ * @param {Object} effect - Effect from a weapon class or crit hook
+ * @returns {Object} { label, description, ...data }
+ */
+function _plainEffect(effect) {
+  return { ...effect, label: effect.label, description: effect.description ?? '' };
+}
+
+/**
+ * Work out the PV a weapon attacks with
+ *
+ * Melee: attacker PV (4 + STR mod, plus NPC modifiers) + weapon PV, where the
+ * STR mod's contribution is capped by the weapon's strengthCap (0 = no cap).
+ * Penalties from a negative STR mod are never capped.
+ * Missile and thrown: the weapon's own PV only.
+ *
+ * @param {Actor} attacker - Attacking actor
+ * @param {Item|Object} weapon - Weapon item or natural weapon
+ * @returns {Object} { attackerPV, strengthBonus, strengthMod, strengthCap, capped }
+ *
+ * @example
+ * // STR 26 (mod +5), dagger with PV 1 and strengthCap 2
+ * getAttackPenetration(actor, dagger);
+ * // { attackerPV: 7, strengthBonus: 2, strengthMod: 5, strengthCap: 2, capped: true }
+ */
+export function getAttackPenetration(attacker, weapon) {
+  const weaponPV = weapon.system.pv || 0;
+
+  if (isRangedWeapon(weapon)) {
+    return { attackerPV: weaponPV, strengthBonus: 0, strengthMod: 0, strengthCap: 0, capped: false };
+  }
+
+  const strengthMod = attacker.system.attributes.strength.mod;
+  const strengthCap = weapon.system.strengthCap || 0;
+  const strengthBonus = strengthCap > 0 ? Math.min(strengthMod, strengthCap) : strengthMod;
+
+  return {
+    attackerPV: attacker.system.combat.pv - strengthMod + strengthBonus + weaponPV,
+    strengthBonus: strengthBonus,
+    strengthMod: strengthMod,
+    strengthCap: strengthCap,
+    capped: strengthBonus < strengthMod
+  };
+}
+
+/**
+ * @typedef {Object} CriticalHitContext
+ * @property {Actor} attacker - Attacking actor
+ * @property {Actor} target - Target actor
+ * @property {Item|Object} weapon - Weapon (item or natural weapon)
+ * @property {string} bodyPartId - Attacking body part ID
+ * @property {number} pvBonus - PV added to penetration (starts at +1, hooks may raise it)
+ * @property {Array<Object>} effects - Effects to show on the card: [{label, description}]
+ */
+
+/**
+ * Build the critical hit bonus for a natural 20
+ * Calls the `cavesofqud.criticalHit` hook with a CriticalHitContext that
+ * listeners may modify.
+ *
+ * @param {Item|Object} weapon - Weapon (item or natural weapon)
+ * @param {Actor} attacker - Attacking actor
+ * @param {Actor} target - Target actor
+ * @param {string} bodyPartId - Attacking body part ID
+ * @returns {Object} { pvBonus, effects }
+ *
+ * @example
+ * Hooks.on('cavesofqud.criticalHit', (crit) => {
+ *   if (crit.attacker.items.some(i => i.type === 'skill' && i.name === 'Short Blade Expertise')) {
+ *     crit.pvBonus += 1;
+ *     crit.effects.push({ label: 'Expertise', description: '+1 PV from Short Blade Expertise' });
+ *   }
+ * });
+ */
+export function resolveCriticalHit(weapon, attacker, target, bodyPartId) {
+  const crit = {
+    attacker: attacker,
+    target: target,
+    weapon: weapon,
+    bodyPartId: bodyPartId,
+    pvBonus: CAVESOFQUD.baseValues.criticalPVBonus,
+    effects: []
+  };
+
+  getWeaponClass(weapon.system.weaponClass)?.onCritical?.(crit);
+  Hooks.callAll('cavesofqud.criticalHit', crit);
+
+  return {
+    pvBonus: crit.pvBonus,
+    effects: crit.effects.map(effect => ({
+      label: effect.label,
+      description: effect.description ?? ''
+    }))
+  };
+}
+
+/**
+ * Resolve penetration and roll damage once per penetration
+ * Each penetration rolls the base formula and every typed damage component.
+ * Shared by executeHandAttack and the chat card's Re-roll Penetration button
+ *
+ * @async
+ * @param {Object} damageProfile - Weapon damage profile (see getDamageProfile)
+ * @param {number} attackerPV - Attacker PV (base + weapon)
+ * @param {number} defenderAV - Defender AV
+ * @returns {Promise<Object>} { penetration, damageRolls, componentRolls, damageByType, totalDamage }
+ */
+export async function rollPenetrationDamage(damageProfile, attackerPV, defenderAV) {
+  const penetration = await resolvePenetration(attackerPV, defenderAV);
+
   const damageRolls = [];
-  let totalDamage = 0;
+  const componentRolls = damageProfile.components.map(component => ({
+    ...component,
+    rolls: [],
+    total: 0
+  }));
+  const damageByType = {};
 
+  // No penetrations means no damage rolls
   for (let i = 0; i < penetration.totalPenetrations; i++) {
-    const damageRoll = await new Roll(weapon.system.damage).evaluate();
+    const damageRoll = await new Roll(damageProfile.formula).evaluate();
     damageRolls.push(damageRoll);
-    totalDamage += damageRoll.total;
+    addDamageByType(damageByType, { [damageProfile.type]: damageRoll.total });
+
+    for (let component of componentRolls) {
+      const componentRoll = await new Roll(component.formula).evaluate();
+      component.rolls.push(componentRoll);
+      component.total += componentRoll.total;
+      addDamageByType(damageByType, { [component.type]: componentRoll.total });
+    }
   }
 
-  result.damageRolls = damageRolls;
-  result.totalDamage = totalDamage;
+  const totalDamage = Object.values(damageByType).reduce((sum, v) => sum + v, 0);
 
-  return result;
+  return { penetration, damageRolls, componentRolls, damageByType, totalDamage };
 }
 
 /**
@@ -188,12 +407,46 @@ export async function executeOffhandAttack(weapon, attacker, target, bodyPartId,
  * Execute complete multi-weapon attack sequence
  * Handles main hand attacks and offhand percentage checks
  *
+ * Every roll in the sequence is drawn from a seeded generator. Passing the
+ * seed recorded on a previous result replays that attack exactly (given the
+ * same attacker and target stats).
+ *
+ * Damage is applied right away only when the world's damage application
+ * setting is automatic; otherwise result.application is null until the GM
+ * applies it from the chat card.
+ *
  * @async
  * @param {Actor} attacker - The attacking actor
  * @param {Actor} target - The target actor
- * @returns {Promise<Object>} Complete attack results
+ * @param {Object} options - Attack options
+ * @param {number} options.seed - RNG seed (defaults to the world seed or a fresh one)
+ * @returns {Promise<Object>} Complete attack results, including the seed used
+ *
+ * @example
+ * const replay = await executeMultiWeaponAttack(attacker, target, { seed: previous.seed });
+ */
+export async function executeMultiWeaponAttack(attacker, target, { seed = getActionSeed() } = {}) {
+  assertMeleeReach(attacker, target);
+
+  // Only the rolls are seeded; damage and effects are written after the block
+  const targetHPBefore = target.system.health.value;
+  const { mainHandResults, offHandResults } = await withSeed(seed, () => _rollMultiWeaponAttack(attacker, target));
+
+  const results = await _finishAttack(attacker, target, mainHandResults, offHandResults, targetHPBefore);
+  results.seed = seed;
+  return results;
+}
+
+/**
+ * Roll every hand of a multi-weapon attack (see executeMultiWeaponAttack)
+ *
+ * @private
+ * @async
+ * @param {Actor} attacker - The attacking actor
+ * @param {Actor} target - The target actor
+ * @returns {Promise<Object>} { mainHandResults, offHandResults }
  */
-export async function executeMultiWeaponAttack(attacker, target) {
+async function _rollMultiWeaponAttack(attacker, target) {
   // Get main hand
   const mainHand = attacker.getMainHand();
   if (!mainHand) {
@@ -209,9 +462,6 @@ export async function executeMultiWeaponAttack(attacker, target) {
     throw new Error("Main hand has no weapon (equipped or natural)");
   }
 
-  // Store HP before attack
-  const targetHPBefore = target.system.health.value;
-
   // PHASE 1: Execute main hand attack (always attacks)
   const mainHandResult = await executeHandAttack(mainHandWeapon, attacker, target, mainHand.id);
   const mainHandResults = [mainHandResult];
@@ -226,8 +476,8 @@ export async function executeMultiWeaponAttack(attacker, target) {
       attacker.items.get(offHand.equipment) :
       attacker.getNaturalWeapon(offHand.id);
 
-    // Skip if no weapon available (equipped or natural)
-    if (!offHandWeapon) continue;
+    // Skip if no weapon available (equipped or natural); missile weapons only fire on their own
+    if (!offHandWeapon || isRangedWeapon(offHandWeapon)) continue;
 
     const offhandChance = offHand.offhandChance || 0;
 
@@ -242,37 +492,426 @@ export async function executeMultiWeaponAttack(attacker, target) {
     offHandResults.push(offHandResult);
   }
 
-  // PHASE 3: Sum all damage from all successful attacks
-  const allSuccessfulAttacks = [
-    ...mainHandResults.filter(r => r.hit && r.totalDamage),
-    ...offHandResults.filter(r => r.triggered && r.hit && r.totalDamage)
-  ];
+  // PHASES 3-4 (summing, resistances, automatic damage) happen in _finishAttack
+  return { mainHandResults, offHandResults };
+}
+
+/**
+ * Sum an attack's damage, apply it in automatic mode and build the result
+ * Shared by melee (multi-weapon) and ranged attacks
+ *
+ * @private
+ * @async
+ * @param {Actor} attacker - The attacking actor
+ * @param {Actor} target - The target actor
+ * @param {Array<Object>} mainHandResults - Main hand results
+ * @param {Array<Object>} offHandResults - Offhand results
+ * @param {number} targetHPBefore - Target HP before the attack
+ * @returns {Promise<Object>} Complete attack results
+ */
+async function _finishAttack(attacker, target, mainHandResults, offHandResults, targetHPBefore) {
+  // Sum all damage from all successful attacks, reduced by resistances
+  const targetResistances = { ...target.system.combat.resistances };
+  const damage = summarizeAttackDamage(mainHandResults, offHandResults, targetResistances);
+  const totalDamage = damage.totalDamage;
 
-  const totalDamage = allSuccessfulAttacks.reduce((sum, r) => sum + r.totalDamage, 0);
+  // Apply damage to target (manual mode leaves it to the chat card)
+  const application = isDamageAutomatic() ?
+    await applyDamageToTarget(target, totalDamage) :
+    null;
 
-  // PHASE 4: Apply damage to target
-  if (totalDamage > 0) {
-    await target.applyDamage(totalDamage);
+  // Dismemberment and conditions go with the damage (manual mode: Apply Effects button)
+  if (application) {
+    Object.assign(application, await _applyHitEffects(target, [...mainHandResults, ...offHandResults]));
   }
 
-  // Store HP after attack
-  const targetHPAfter = target.system.health.value;
-
   // Return complete results
   return {
     attackerId: attacker.id,
+    attackerUuid: attacker.uuid,
     attackerName: attacker.name,
     targetId: target.id,
+    targetUuid: target.uuid,
     targetName: target.name,
     mainHandResults: mainHandResults,
     offHandResults: offHandResults,
-    totalDamage: totalDamage,
+    targetResistances: targetResistances,
+    ...damage,
     targetHPBefore: targetHPBefore,
-    targetHPAfter: targetHPAfter,
+    targetHPAfter: target.system.health.value,
+    application: application,
     timestamp: Date.now()
   };
 }
 
+/**
+ * Fire a missile weapon or throw a weapon at a target
+ *
+ * Measures token distance to find the range band (penalty to hit), spends
+ * one shot of ammunition, then resolves a single hand attack with the
+ * weapon's own PV. The result has the same shape as a multi-weapon attack
+ * (one main hand result, no offhands) so the combat card works unchanged.
+ *
+ * @async
+ * @param {Actor} attacker - The attacking actor
+ * @param {Actor} target - The target actor
+ * @param {string} bodyPartId - Body part holding the missile or thrown weapon
+ * @param {Object} options - Attack options
+ * @param {number} options.seed - RNG seed (defaults to the world seed or a fresh one)
+ * @returns {Promise<Object>} Complete attack results plus `range` and `ammo`
+ * @throws {Error} If the weapon is not ranged, the target is out of range or there is no ammunition
+ *
+ * @example
+ * const results = await executeRangedAttack(archer, goatfolk, "hand-right-1");
+ * results.range; // { key: "medium", label: "Medium", penalty: -2, distance: 11, maxRange: 24 }
+ */
+export async function executeRangedAttack(attacker, target, bodyPartId, { seed = getActionSeed() } = {}) {
+  assertCanAct(attacker);
+
+  const part = attacker.system.bodyParts[bodyPartId];
+  const weapon = part?.equipment ? attacker.items.get(part.equipment) : null;
+
+  if (!weapon || !isRangedWeapon(weapon)) {
+    throw new Error("Body part does not hold a missile or thrown weapon");
+  }
+
+  // Range check before spending ammunition
+  const range = getRangeBand(weapon, measureTokenDistance(attacker, target));
+  if (!range) {
+    throw new Error(`${target.name} is out of range for ${weapon.name}`);
+  }
+
+  const ammo = await consumeAmmo(attacker, weapon, bodyPartId);
+  const targetHPBefore = target.system.health.value;
+
+  const handResult = await withSeed(seed, () => executeHandAttack(weapon, attacker, target, bodyPartId, {
+    toHitModifier: range.penalty
+  }));
+
+  const results = await _finishAttack(attacker, target, [handResult], [], targetHPBefore);
+  results.seed = seed;
+  results.range = range;
+  results.ammo = ammo;
+  return results;
+}
+
+/**
+ * Sum damage by type from every hand that hit (offhands only if triggered)
+ * and reduce each type by the target's resistance
+ *
+ * @param {Array<Object>} mainHandResults - Main hand results
+ * @param {Array<Object>} offHandResults - Offhand results
+ * @param {Object} resistances - Target resistances keyed by damage type
+ * @returns {Object} { damageByType, damageBreakdown, rawDamage, totalDamage }
+ */
+export function summarizeAttackDamage(mainHandResults, offHandResults, resistances = {}) {
+  const allSuccessfulAttacks = [
+    ...mainHandResults.filter(r => r.hit && r.totalDamage),
+    ...offHandResults.filter(r => r.triggered && r.hit && r.totalDamage)
+  ];
+
+  const damageByType = {};
+  for (let result of allSuccessfulAttacks) {
+    addDamageByType(damageByType, result.damageByType ?? { physical: result.totalDamage });
+  }
+
+  const damageBreakdown = calculateResistedDamage(damageByType, resistances);
+
+  return {
+    damageByType: damageByType,
+    damageBreakdown: damageBreakdown,
+    rawDamage: damageBreakdown.reduce((sum, d) => sum + d.raw, 0),
+    totalDamage: damageBreakdown.reduce((sum, d) => sum + d.final, 0)
+  };
+}
+
+/**
+ * Whether attacks apply their damage immediately (world setting)
+ * @returns {boolean}
+ */
+export function isDamageAutomatic() {
+  return game.settings.get('cavesofqud', 'damageApplication') !== 'manual';
+}
+
+/* -------------------------------------------- */
+/*  Damage Application                          */
+/* -------------------------------------------- */
+
+/**
+ * Apply damage to an actor and record what changed
+ *
+ * @async
+ * @param {Actor} target - Target actor
+ * @param {number} amount - Damage to apply
+ * @param {number} multiplier - Damage multiplier (0.5 for Apply Half)
+ * @returns {Promise<Object>} Application record { amount, multiplier, hpBefore, hpAfter, regenBefore, regenAfter }
+ */
+export async function applyDamageToTarget(target, amount, multiplier = 1) {
+  const damage = Math.floor(amount * multiplier);
+  const hpBefore = target.system.health.value;
+  const regenBefore = _getRegenerationPauseState(target);
+
+  if (damage > 0) {
+    await target.applyDamage(damage);
+  }
+
+  return {
+    amount: damage,
+    multiplier: multiplier,
+    hpBefore: hpBefore,
+    hpAfter: target.system.health.value,
+    regenBefore: regenBefore,
+    regenAfter: _getRegenerationPauseState(target)
+  };
+}
+
+/**
+ * The fields damage sets to pause an actor's regeneration
+ *
+ * @private
+ * @param {Actor} actor - Actor
+ * @returns {Object} Update data (see actor._getRegenerationInterrupt)
+ */
+function _getRegenerationPauseState(actor) {
+  const { hpRegen, health } = actor.system;
+  return {
+    'system.hpRegen.interruptedUntilTime': hpRegen?.interruptedUntilTime ?? 0,
+    'system.hpRegen.interruptedUntilTurn': hpRegen?.interruptedUntilTurn ?? 0,
+    'system.hpRegen.interruptedCombatId': hpRegen?.interruptedCombatId ?? '',
+    'system.health.lastDamageTurn': health.lastDamageTurn ?? 0
+  };
+}
+
+/**
+ * Find the target actor of a stored attack (token actors resolve through their UUID)
+ *
+ * @param {Object} attackData - Stored attack results
+ * @returns {Actor|null}
+ */
+export function getAttackTarget(attackData) {
+  const target = attackData.targetUuid ? fromUuidSync(attackData.targetUuid) : null;
+  return target ?? game.actors.get(attackData.targetId) ?? null;
+}
+
+/**
+ * Apply a stored attack's damage to its target
+ *
+ * @async
+ * @param {Object} attackData - Stored attack results (from message flags)
+ * @param {number} multiplier - Damage multiplier (0.5 for Apply Half)
+ * @returns {Promise<Object>} Updated attack data
+ * @throws {Error} If damage was already applied or the target is gone
+ */
+export async function applyAttackDamage(attackData, multiplier = 1) {
+  if (attackData.application) {
+    throw new Error("Damage from this attack has already been applied");
+  }
+
+  const target = getAttackTarget(attackData);
+  if (!target) {
+    throw new Error(`Target ${attackData.targetName} no longer exists`);
+  }
+
+  return {
+    ...attackData,
+    application: await applyDamageToTarget(target, attackData.totalDamage, multiplier)
+  };
+}
+
+/**
+ * Apply a stored attack's pending on-hit effects (the card's Apply Effects button)
+ *
+ * @async
+ * @param {Object} attackData - Stored attack results (from message flags)
+ * @returns {Promise<Object>} Updated attack data
+ * @throws {Error} If nothing is left to apply or the target is gone
+ */
+export async function applyAttackEffects(attackData) {
+  const updated = foundry.utils.deepClone(attackData);
+  const hands = [...updated.mainHandResults, ...updated.offHandResults];
+  if (_getPendingHitEffects(hands).length === 0) {
+    throw new Error("This attack has no effects left to apply");
+  }
+
+  const target = getAttackTarget(updated);
+  if (!target) {
+    throw new Error(`Target ${updated.targetName} no longer exists`);
+  }
+
+  await _applyHitEffects(target, hands);
+  return updated;
+}
+
+/**
+ * On-hit effects that act on the target (dismember, condition) and have not been applied yet
+ *
+ * @private
+ * @param {Array<Object>} hands - Hand results
+ * @returns {Array<Object>} Pending effects
+ */
+function _getPendingHitEffects(hands) {
+  return hands
+    .flatMap(hand => hand.hitEffects ?? [])
+    .filter(effect => (effect.key === 'dismember' || effect.key === 'condition') && effect.applied === undefined);
+}
+
+/**
+ * Apply every pending on-hit effect and mark it with the outcome
+ * A limb can already be gone (e.g. two axes rolled the same arm)
+ *
+ * @private
+ * @async
+ * @param {Actor} target - Target actor
+ * @param {Array<Object>} hands - Hand results (effects are updated in place)
+ * @returns {Promise<Object>} What was applied, for undo { conditions: [undo data], severed: [part names] }
+ */
+async function _applyHitEffects(target, hands) {
+  const record = { conditions: [], severed: [] };
+
+  for (const effect of _getPendingHitEffects(hands)) {
+    if (effect.key === 'dismember') {
+      const severed = target.system.bodyParts[effect.bodyPartId] ?
+        await target.dismember(effect.bodyPartId) :
+        null;
+      effect.applied = !!severed;
+      if (severed) record.severed.push(severed.partName);
+    } else {
+      const applied = await applyCondition(target, effect.condition, { rounds: effect.rounds, source: effect.label });
+      effect.applied = !!applied;
+      if (applied) record.conditions.push(applied.undo);
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Every effect on a stored attack's card, weapon or mental
+ *
+ * @private
+ * @param {Object} attackData - Stored attack results
+ * @returns {Array<Object>} Effects
+ */
+function _getAttackEffects(attackData) {
+  return [
+    ...[...(attackData.mainHandResults ?? []), ...(attackData.offHandResults ?? [])].flatMap(hand => hand.hitEffects ?? []),
+    ...(attackData.effects ?? [])
+  ];
+}
+
+/**
+ * Undo a stored attack's applied damage
+ * Restores the HP actually removed, so healing or damage since then is
+ * kept, and lifts the regeneration pause unless later damage renewed it.
+ * Effects applied along with the damage (automatic mode) are taken back
+ * too and become pending again, except severed limbs: those cannot be
+ * undone, so neither can the attack.
+ *
+ * @async
+ * @param {Object} attackData - Stored attack results (from message flags)
+ * @returns {Promise<Object>} Updated attack data
+ * @throws {Error} If no damage was applied, a limb was severed or the target is gone
+ */
+export async function undoAttackDamage(attackData) {
+  const application = attackData.application;
+  if (!application) {
+    throw new Error("No damage from this attack has been applied");
+  }
+  if (application.severed?.length > 0) {
+    throw new Error(`This attack severed ${attackData.targetName}'s ${application.severed.join(', ').toLowerCase()}, so it cannot be undone; regrow the limb from the sheet instead`);
+  }
+
+  const target = getAttackTarget(attackData);
+  if (!target) {
+    throw new Error(`Target ${attackData.targetName} no longer exists`);
+  }
+
+  const health = target.system.health;
+  const restored = application.hpBefore - application.hpAfter;
+  const updates = { 'system.health.value': Math.min(health.max, health.value + restored) };
+  if (application.regenBefore && foundry.utils.objectsEqual(_getRegenerationPauseState(target), application.regenAfter)) {
+    Object.assign(updates, application.regenBefore);
+  }
+  await target.update(updates);
+
+  const undone = foundry.utils.deepClone(attackData);
+  if (application.conditions) {
+    for (let undo of [...application.conditions].reverse()) {
+      await revertCondition(target, undo);
+    }
+    for (let effect of _getAttackEffects(undone)) delete effect.applied;
+  }
+  undone.application = null;
+
+  return undone;
+}
+
+/**
+ * Re-roll penetration and damage for every hand that hit
+ * To-hit and offhand rolls are kept. Only allowed while damage is unapplied.
+ *
+ * @async
+ * @param {Object} attackData - Stored attack results (from message flags)
+ * @param {Object} options - Re-roll options
+ * @param {number} options.seed - RNG seed for the re-roll
+ * @returns {Promise<Object>} Updated attack data (serialized)
+ * @throws {Error} If damage was already applied
+ */
+export async function rerollAttackPenetration(attackData, { seed = getActionSeed() } = {}) {
+  if (attackData.application) {
+    throw new Error("Undo the applied damage before re-rolling penetration");
+  }
+  if ([...attackData.mainHandResults, ...attackData.offHandResults].some(hand =>
+    hand.hitEffects?.some(effect => effect.applied !== undefined))) {
+    throw new Error("This attack's effects have already been applied");
+  }
+
+  const rerolled = foundry.utils.deepClone(attackData);
+  const hands = [
+    ...rerolled.mainHandResults,
+    ...rerolled.offHandResults.filter(r => r.triggered)
+  ];
+
+  const attacker = (rerolled.attackerUuid && fromUuidSync(rerolled.attackerUuid)) || game.actors.get(rerolled.attackerId);
+  const target = getAttackTarget(rerolled);
+
+  await withSeed(seed, async () => {
+    for (const hand of hands) {
+      if (!hand.hit) continue;
+
+      const attackerPV = hand.attackerPV ?? hand.penetration?.initialPV ?? 0;
+      const defenderAV = hand.targetAV ?? hand.penetration?.triplets?.[0]?.defenderAV ?? 0;
+      const damageProfile = hand.damageProfile ?? { formula: hand.weaponDamage, type: 'physical', components: [] };
+      Object.assign(hand, await rollPenetrationDamage(damageProfile, attackerPV, defenderAV));
+
+      // On-hit effects depend on penetration, so they are re-rolled too
+      if (attacker && target) {
+        hand.hitEffects = await resolveHitEffects(attacker, target, hand);
+      }
+    }
+  });
+
+  Object.assign(rerolled, summarizeAttackDamage(
+    rerolled.mainHandResults,
+    rerolled.offHandResults,
+    rerolled.targetResistances
+  ));
+  rerolled.rerollSeed = seed;
+
+  return serializeAttackResults(rerolled);
+}
+
+/**
+ * Convert attack results to plain data for message flags
+ * Rolls become their JSON form, which keeps total and terms for display
+ *
+ * @param {Object} attackResults - Attack results
+ * @returns {Object} Plain data
+ */
+export function serializeAttackResults(attackResults) {
+  return JSON.parse(JSON.stringify(attackResults));
+}
+
 /**
  * Format combat results for chat message template
  *
@@ -286,57 +925,35 @@ export function formatCombatResults(attackResults) {
     mainHandResults = [],
     offHandResults = [],
     totalDamage,
-    targetHPBefore,
-    targetHPAfter
+    application,
+    seed,
+    rerollSeed
   } = attackResults;
 
   // Format main hand attacks for display
   const formattedMainHands = mainHandResults.map(handResult => {
     const formatted = {
       name: `${handResult.bodyPartName} - ${handResult.weaponName}`,
-      toHit: `${handResult.toHitTotal} vs DV ${handResult.targetDV}`,
-      hit: handResult.hit
+      toHit: _formatToHit(handResult),
+      hit: handResult.hit,
+      ..._formatCritical(handResult),
+      ..._formatWeaponClass(handResult)
     };
 
     if (handResult.hit) {
       formatted.penetrations = handResult.penetration?.totalPenetrations || 0;
       formatted.weaponPV = handResult.weaponPV || 0;  // Show weapon PV for verification
+      formatted.strengthNote = _formatStrengthCap(handResult);
 
       if (formatted.penetrations > 0) {
-        // Format damage display
-        const damageDetails = handResult.damageRolls.map(roll => roll.total).join(' + ');
-        formatted.damage = `${handResult.weaponDamage}: ${damageDetails} = ${handResult.totalDamage}`;
+        // Format damage display (base damage, then one line per typed component)
+        Object.assign(formatted, _formatHandDamage(handResult));
       } else {
         formatted.damage = "No penetration";
       }
 
       // Add triplet details with singlet breakdown (US4)
-      if (handResult.penetration && handResult.penetration.triplets) {
-        formatted.tripletDetails = handResult.penetration.triplets.map((triplet, idx) => {
-          return {
-            tripletNumber: idx + 1,
-            pv: triplet.attackerPV,
-            av: triplet.defenderAV,
-            targetNumber: triplet.targetNumber,
-            passed: triplet.penetrations > 0,
-            singlets: triplet.singlets.map(singlet => {
-              // Format explosion chain for display
-              const explosionDisplay = singlet.exploded ?
-                singlet.explosionChain.join(' + ') + ` = ${singlet.total + (singlet.rolls.length * 2)}` :
-                `${singlet.total + 2}`;
-
-              return {
-                rolls: explosionDisplay,
-                finalTotal: singlet.total,
-                succeeded: singlet.total >= triplet.targetNumber,
-                exploded: singlet.exploded
-              };
-            })
-          };
-        });
-      } else {
-        formatted.tripletDetails = [];
-      }
+      formatted.tripletDetails = formatTripletDetails(handResult.penetration);
     }
 
     return formatted;
@@ -355,29 +972,176 @@ export function formatCombatResults(attackResults) {
     // If offhand triggered, show attack details (hit or miss)
     if (handResult.triggered) {
       formatted.hit = handResult.hit;
-      formatted.toHit = `${handResult.toHitTotal} vs DV ${handResult.targetDV}`;
+      formatted.toHit = _formatToHit(handResult);
+      Object.assign(formatted, _formatCritical(handResult));
+      Object.assign(formatted, _formatWeaponClass(handResult));
       formatted.weaponPV = handResult.weaponPV || 0;  // Show weapon PV
+      formatted.strengthNote = _formatStrengthCap(handResult);
       formatted.penetrations = handResult.penetration?.totalPenetrations || 0;
 
       if (handResult.hit && formatted.penetrations > 0) {
-        const damageDetails = handResult.damageRolls.map(roll => roll.total).join(' + ');
-        formatted.damage = `${handResult.weaponDamage}: ${damageDetails} = ${handResult.totalDamage}`;
+        Object.assign(formatted, _formatHandDamage(handResult));
+        formatted.tripletDetails = formatTripletDetails(handResult.penetration);
       }
     }
 
     return formatted;
   });
 
+  const allHands = [...mainHandResults, ...offHandResults];
+  const effectsApplied = allHands.some(hand => hand.hitEffects?.some(effect => effect.applied !== undefined));
+
+  // HP change only exists once damage has been applied
+  let hpChange = "Not applied";
+  if (application) {
+    const half = application.multiplier === 0.5 ? ", half" : "";
+    hpChange = `${application.hpBefore} → ${application.hpAfter} (-${application.amount}${half})`;
+  }
+
+  // Per-type totals and resistance reductions (only worth showing for non-physical or resisted damage)
+  const damageBreakdown = (attackResults.damageBreakdown ?? []).map(entry => {
+    let text = `${entry.raw}`;
+    if (entry.resistance > 0) {
+      text = `${entry.raw} - ${entry.resistance}% resist = ${entry.final}`;
+    } else if (entry.resistance < 0) {
+      text = `${entry.raw} + ${-entry.resistance}% weakness = ${entry.final}`;
+    }
+    return { type: entry.type, label: entry.label, text };
+  });
+  const showBreakdown = (attackResults.damageBreakdown ?? [])
+    .some(entry => entry.type !== 'physical' || entry.resistance !== 0);
+
+  // Missile/thrown attacks: range band and ammunition left
+  let rangeText = null;
+  if (attackResults.range) {
+    const { label, distance, penalty } = attackResults.range;
+    const measured = distance === null ? "not measured" : `${distance} sq`;
+    rangeText = `${label} range (${measured}${penalty ? `, ${penalty} to hit` : ''})`;
+  }
+  let ammoText = null;
+  if (attackResults.ammo?.remaining !== null && attackResults.ammo?.remaining !== undefined) {
+    ammoText = attackResults.ammo.mode === 'thrown' ?
+      `${attackResults.ammo.remaining} left to throw` :
+      `${attackResults.ammo.remaining} shot${attackResults.ammo.remaining === 1 ? '' : 's'} left`;
+  }
+
   return {
     attackerName,
     targetName,
+    attackVerb: attackResults.range ? "fires at" : "attacks",
+    rangeText,
+    ammoText,
     mainHands: formattedMainHands,
     offhands: formattedOffhands,
     totalDamage,
-    hpChange: `${targetHPBefore} → ${targetHPAfter} (-${totalDamage})`
+    rawDamage: attackResults.rawDamage ?? totalDamage,
+    damageBreakdown: showBreakdown ? damageBreakdown : [],
+    hpChange,
+    applied: !!application,
+    canReroll: !application && !effectsApplied && allHands.some(r => r.hit),
+    canApplyEffects: _getPendingHitEffects(allHands).length > 0,
+    seed,
+    rerollSeed
+  };
+}
+
+/**
+ * Format a to-hit line, noting weapon accuracy
+ *
+ * @private
+ * @param {Object} handResult - Hand attack result
+ * @returns {string} e.g. "15 vs DV 8 (accuracy +2)"
+ */
+function _formatToHit(handResult) {
+  const accuracy = handResult.accuracy ?
+    ` (accuracy ${handResult.accuracy > 0 ? '+' : ''}${handResult.accuracy})` :
+    '';
+  const conditions = handResult.conditionToHit ?
+    ` (conditions ${handResult.conditionToHit > 0 ? '+' : ''}${handResult.conditionToHit})` :
+    '';
+  return `${handResult.toHitTotal} vs DV ${handResult.targetDV}${accuracy}${conditions}`;
+}
+
+/**
+ * Describe a capped STR bonus for the combat card
+ *
+ * @private
+ * @param {Object} handResult - Hand attack result
+ * @returns {string|null} e.g. "STR bonus +2 (capped from +5)"
+ */
+function _formatStrengthCap(handResult) {
+  if (!handResult.strengthCapped) return null;
+  return `STR bonus +${handResult.strengthBonus} (capped from +${handResult.strengthMod})`;
+}
+
+/**
+ * Format a hand's critical hit for the combat card
+ *
+ * @private
+ * @param {Object} handResult - Hand attack result
+ * @returns {Object} { critical, critPVBonus, critEffects }
+ */
+function _formatCritical(handResult) {
+  if (!handResult.critical) return { critical: false };
+
+  return {
+    critical: true,
+    critPVBonus: handResult.critPVBonus ?? 0,
+    critEffects: handResult.critEffects ?? []
+  };
+}
+
+/**
+ * Format a hand's weapon class and its effects for the combat card
+ *
+ * @private
+ * @param {Object} handResult - Hand attack result
+ * @returns {Object} { weaponClass, classEffects }
+ */
+function _formatWeaponClass(handResult) {
+  return {
+    weaponClass: handResult.weaponClassLabel || handResult.weaponClass || '',
+    classEffects: [...(handResult.classEffects ?? []), ...(handResult.hitEffects ?? [])]
   };
 }
 
+/**
+ * Format a hand's damage rolls for the combat card
+ *
+ * @private
+ * @param {Object} handResult - Hand attack result
+ * @returns {Object} { damage, typedDamage } display strings
+ */
+function _formatHandDamage(handResult) {
+  const profile = handResult.damageProfile ?? { formula: handResult.weaponDamage, type: 'physical' };
+  const typeLabel = (type) => type === 'physical' ? '' : ` ${CAVESOFQUD.damageTypes[type]?.label ?? type}`;
+
+  const baseRolls = handResult.damageRolls.map(roll => roll.total);
+  const baseTotal = baseRolls.reduce((sum, v) => sum + v, 0);
+
+  return {
+    damage: `${profile.formula}${typeLabel(profile.type)}: ${baseRolls.join(' + ')} = ${baseTotal}`,
+    typedDamage: (handResult.componentRolls ?? []).map(component => {
+      const rolls = component.rolls.map(roll => roll.total).join(' + ');
+      return `${component.formula}${typeLabel(component.type)}: ${rolls} = ${component.total}`;
+    })
+  };
+}
+
+/**
+ * Render the combat card HTML for (serialized) attack results
+ *
+ * @async
+ * @param {Object} attackData - Serialized attack results
+ * @returns {Promise<string>} Card HTML
+ */
+export async function renderCombatCard(attackData) {
+  return renderTemplate(
+    "systems/cavesofqud/templates/chat/combat-attack.hbs",
+    formatCombatResults(attackData)
+  );
+}
+
 /**
  * Create combat chat message from attack results
  *
@@ -387,17 +1151,29 @@ export function formatCombatResults(attackResults) {
  * @returns {Promise<ChatMessage>} Created chat message document
  */
 export async function createCombatChatMessage(attackResults, attacker) {
-  const templateData = formatCombatResults(attackResults);
-
-  const html = await renderTemplate(
-    "systems/cavesofqud/templates/chat/combat-attack.hbs",
-    templateData
-  );
+  // Full results live in the flags so card buttons can apply, undo or re-roll later
+  const attackData = serializeAttackResults(attackResults);
 
   return await ChatMessage.create({
     user: game.user.id,
     speaker: ChatMessage.getSpeaker({ actor: attacker }),
-    content: html,
-    type: CONST.CHAT_MESSAGE_TYPES.OTHER
+    content: await renderCombatCard(attackData),
+    type: CONST.CHAT_MESSAGE_TYPES.OTHER,
+    flags: { cavesofqud: { attack: attackData } }
+  });
+}
+
+/**
+ * Store updated attack data on a combat card and re-render it
+ *
+ * @async
+ * @param {ChatMessage} message - Combat card message
+ * @param {Object} attackData - Updated attack data
+ * @returns {Promise<ChatMessage>} Updated message
+ */
+export async function updateCombatChatMessage(message, attackData) {
+  return message.update({
+    content: await renderCombatCard(attackData),
+    'flags.cavesofqud.attack': attackData
   });
 }
@@ -0,0 +1,401 @@
+/**
+ * Status Conditions
+ *
+ * Conditions (CAVESOFQUD.conditions) live on the actor as active effects
+ * carrying a status ID, so they show as token status icons and can be
+ * toggled from the token HUD. Duration and stacks are kept in
+ * flags.cavesofqud; a condition toggled on from the HUD has no duration and
+ * lasts until removed.
+ *
+ * In combat, damage-over-time is rolled at the start of each creature's
+ * turn and durations count down when its turn ends, so an N-round condition
+ * covers N of its turns. A condition applied during the creature's own turn
+ * does not count that turn.
+ */
+
+import { CAVESOFQUD } from './config.mjs';
+import { withoutSeed } from './random.mjs';
+
+/**
+ * Core status effects that a system condition replaces
+ */
+const REPLACED_STATUS_EFFECTS = new Set(['poison', 'paralysis', 'bleeding', 'burning', 'frozen', 'prone', 'stun', 'restrain']);
+
+/**
+ * Register conditions as token status effects
+ * Called once from the init hook
+ */
+export function registerConditionStatusEffects() {
+  const imageKey = _effectImageKey();
+  const conditions = Object.entries(CAVESOFQUD.conditions).map(([id, condition]) => ({
+    id: id,
+    name: condition.label,
+    [imageKey]: condition.icon
+  }));
+
+  CONFIG.statusEffects = [
+    ...conditions,
+    ...CONFIG.statusEffects.filter(effect => !REPLACED_STATUS_EFFECTS.has(effect.id))
+  ];
+}
+
+/**
+ * Register condition hooks
+ * Called once from the init hook
+ */
+export function registerConditionHooks() {
+  Hooks.on('updateCombat', onUpdateCombat);
+}
+
+/**
+ * Count down the conditions of the combatant whose turn ended, then roll
+ * damage-over-time for the one whose turn starts
+ * Only the GM client ticks, and stepping back through turns does not
+ *
+ * @param {Combat} combat - Updated combat
+ * @param {Object} changed - Changed data
+ * @param {Object} options - Update options
+ */
+async function onUpdateCombat(combat, changed, options) {
+  if (!game.user.isGM) return;
+  if (!('turn' in changed) && !('round' in changed)) return;
+  if (options.direction < 0) return;
+
+  const previous = combat.previous;
+  const ended = previous?.combatantId ? combat.combatants.get(previous.combatantId)?.actor : null;
+  if (ended) await countDownConditions(ended, _turnKey(combat, previous));
+
+  const actor = combat.combatant?.actor;
+  if (actor) await tickConditions(actor);
+}
+
+/**
+ * Get an actor's active conditions
+ *
+ * @param {Actor} actor - Actor
+ * @returns {Array<Object>} [{ id, label, icon, description, rounds, stacks, effect }]
+ *   rounds is null for conditions without a duration
+ */
+export function getActorConditions(actor) {
+  const conditions = [];
+
+  for (let effect of actor.effects ?? []) {
+    if (effect.disabled) continue;
+
+    const id = effect.getFlag('cavesofqud', 'condition') ??
+      [...(effect.statuses ?? [])].find(status => CAVESOFQUD.conditions[status]);
+    const config = CAVESOFQUD.conditions[id];
+    if (!config) continue;
+
+    conditions.push({
+      id: id,
+      label: config.label,
+      icon: config.icon,
+      description: config.description,
+      rounds: effect.getFlag('cavesofqud', 'rounds') ?? null,
+      stacks: effect.getFlag('cavesofqud', 'stacks') ?? 1,
+      effect: effect
+    });
+  }
+
+  return conditions;
+}
+
+/**
+ * Sum the mechanical effects of a set of conditions
+ *
+ * @param {Array<Object>} conditions - Active conditions (see getActorConditions)
+ * @returns {Object} { dv, toHit, dvZero, canAct, canMove, blockedBy, moveBlockedBy, regenBlockedBy }
+ */
+export function getConditionModifiers(conditions) {
+  const modifiers = { dv: 0, toHit: 0, dvZero: false, canAct: true, canMove: true, blockedBy: null, moveBlockedBy: null, regenBlockedBy: null };
+
+  for (let condition of conditions) {
+    const config = CAVESOFQUD.conditions[condition.id];
+    const multiplier = config.stacking === 'intensity' ? condition.stacks : 1;
+
+    modifiers.dv += (config.dv || 0) * multiplier;
+    modifiers.toHit += (config.toHit || 0) * multiplier;
+    if (config.dvZero) modifiers.dvZero = true;
+    if (config.canMove === false) {
+      modifiers.canMove = false;
+      modifiers.moveBlockedBy ??= config.label;
+    }
+    if (config.noRegen) modifiers.regenBlockedBy ??= config.label;
+    if (config.canAct === false) {
+      modifiers.canAct = false;
+      modifiers.blockedBy ??= config.label;
+    }
+  }
+
+  return modifiers;
+}
+
+/**
+ * Apply a condition, following its stacking rule
+ *
+ * @async
+ * @param {Actor} actor - Actor to affect
+ * @param {string} id - Condition ID (key of CAVESOFQUD.conditions)
+ * @param {Object} options - Options
+ * @param {number|null} options.rounds - Duration in rounds (defaults to the condition's; null = until removed)
+ * @param {number} options.stacks - Stacks to add (intensity conditions)
+ * @param {string} options.source - What caused it, for the effect's tooltip
+ * @returns {Promise<Object|null>} { id, rounds, stacks, undo } after applying, or null if a non-stacking condition was already active.
+ *   undo is plain data for revertCondition
+ * @throws {Error} If the condition is unknown
+ *
+ * @example
+ * await applyCondition(target, "poisoned", { rounds: 4, source: "Stinger" });
+ */
+export async function applyCondition(actor, id, { rounds, stacks = 1, source = '' } = {}) {
+  const config = CAVESOFQUD.conditions[id];
+  if (!config) {
+    throw new Error(`Unknown condition: ${id}`);
+  }
+  if (rounds === undefined) rounds = config.rounds;
+
+  // Fire puts out frost and the other way round
+  const removed = [];
+  for (let other of config.removes ?? []) {
+    removed.push(...getActorConditions(actor)
+      .filter(condition => condition.id === other)
+      .map(condition => condition.effect.toObject()));
+    await removeCondition(actor, other);
+  }
+
+  const existing = getActorConditions(actor).find(condition => condition.id === id);
+
+  if (!existing) {
+    const imageKey = _effectImageKey();
+    const [effect] = await actor.createEmbeddedDocuments('ActiveEffect', [{
+      name: _effectName(config, stacks),
+      [imageKey]: config.icon,
+      statuses: [id],
+      description: source ? `${config.description} (${source})` : config.description,
+      flags: { cavesofqud: { condition: id, rounds: rounds, stacks: stacks, source: source, appliedTurn: _currentTurnKey(actor) } }
+    }]);
+    return { id, rounds, stacks, undo: { effectId: effect?.id ?? null, previous: null, removed: removed } };
+  }
+
+  // Indefinite conditions stay indefinite
+  const longer = (a, b) => (a === null || b === null) ? null : Math.max(a, b);
+  let newRounds = existing.rounds;
+  let newStacks = existing.stacks;
+
+  switch (config.stacking) {
+    case 'none':
+      return null;
+    case 'extend':
+      newRounds = (existing.rounds === null || rounds === null) ? null : existing.rounds + rounds;
+      break;
+    case 'intensity':
+      newStacks = Math.min(config.maxStacks ?? Infinity, existing.stacks + stacks);
+      newRounds = longer(existing.rounds, rounds);
+      break;
+    default:
+      newRounds = longer(existing.rounds, rounds);
+  }
+
+  const previous = {
+    name: existing.effect.name,
+    rounds: existing.rounds,
+    stacks: existing.stacks,
+    appliedTurn: existing.effect.getFlag('cavesofqud', 'appliedTurn') ?? null
+  };
+  await existing.effect.update({
+    name: _effectName(config, newStacks),
+    'flags.cavesofqud.rounds': newRounds,
+    'flags.cavesofqud.stacks': newStacks,
+    'flags.cavesofqud.appliedTurn': _currentTurnKey(actor)
+  });
+
+  return {
+    id,
+    rounds: newRounds,
+    stacks: newStacks,
+    undo: { effectId: existing.effect.id, previous: previous, removed: removed }
+  };
+}
+
+/**
+ * Take back a condition applied with applyCondition
+ * A new condition is removed, a stacked or extended one goes back to its
+ * earlier rounds and stacks, and conditions it put out come back.
+ *
+ * @async
+ * @param {Actor} actor - Actor
+ * @param {Object} undo - The undo data applyCondition returned
+ */
+export async function revertCondition(actor, { effectId, previous, removed = [] }) {
+  const effect = effectId ? actor.effects.get(effectId) : null;
+
+  if (effect && previous) {
+    await effect.update({
+      name: previous.name,
+      'flags.cavesofqud.rounds': previous.rounds,
+      'flags.cavesofqud.stacks': previous.stacks,
+      'flags.cavesofqud.appliedTurn': previous.appliedTurn
+    });
+  } else if (effect) {
+    await effect.delete();
+  }
+
+  if (removed.length > 0) {
+    await actor.createEmbeddedDocuments('ActiveEffect', removed);
+  }
+}
+
+/**
+ * Remove a condition
+ *
+ * @async
+ * @param {Actor} actor - Actor
+ * @param {string} id - Condition ID
+ * @returns {Promise<boolean>} Whether anything was removed
+ */
+export async function removeCondition(actor, id) {
+  const ids = getActorConditions(actor)
+    .filter(condition => condition.id === id)
+    .map(condition => condition.effect.id);
+  if (ids.length === 0) return false;
+
+  await actor.deleteEmbeddedDocuments('ActiveEffect', ids);
+  return true;
+}
+
+/**
+ * Roll an actor's damage-over-time conditions
+ * Posts a chat message summarizing what happened
+ *
+ * @async
+ * @param {Actor} actor - Actor whose turn is starting
+ * @returns {Promise<Array<string>>} Summary lines
+ */
+export async function tickConditions(actor) {
+  const lines = [];
+
+  for (let condition of getActorConditions(actor)) {
+    const config = CAVESOFQUD.conditions[condition.id];
+    if (!config.damage) continue;
+
+    const formula = Array(condition.stacks).fill(config.damage.formula).join(' + ');
+    const roll = await withoutSeed(() => new Roll(formula).evaluate());
+    const hpBefore = actor.system.health.value;
+    await actor.applyDamage(roll.total, config.damage.type);
+    const taken = hpBefore - actor.system.health.value;
+    const typeLabel = CAVESOFQUD.damageTypes[config.damage.type]?.label.toLowerCase() ?? config.damage.type;
+    lines.push(`${condition.label}: ${taken} ${typeLabel} damage`);
+  }
+
+  await _postConditionMessage(actor, lines);
+  return lines;
+}
+
+/**
+ * Count an actor's condition durations down one round
+ * Conditions applied during the turn that just ended are left alone, so
+ * they still cover the actor's next turn.
+ *
+ * @async
+ * @param {Actor} actor - Actor whose turn is ending
+ * @param {string|null} turnKey - Turn that ended (conditions applied during it are skipped)
+ * @returns {Promise<Array<string>>} Summary lines
+ */
+export async function countDownConditions(actor, turnKey = null) {
+  const lines = [];
+
+  for (let condition of getActorConditions(actor)) {
+    if (condition.rounds === null) continue;
+    if (turnKey && condition.effect.getFlag('cavesofqud', 'appliedTurn') === turnKey) continue;
+
+    if (condition.rounds <= 1) {
+      await condition.effect.delete();
+      lines.push(`${condition.label} wears off`);
+    } else {
+      await condition.effect.update({ 'flags.cavesofqud.rounds': condition.rounds - 1 });
+    }
+  }
+
+  await _postConditionMessage(actor, lines);
+  return lines;
+}
+
+/**
+ * Throw if an actor's conditions stop it from acting
+ *
+ * @param {Actor} actor - Actor about to act
+ * @throws {Error} If a condition blocks actions
+ */
+export function assertCanAct(actor) {
+  const blockedBy = actor.system.combat?.actionBlockedBy;
+  if (blockedBy) {
+    throw new Error(`${actor.name} is ${blockedBy.toLowerCase()} and cannot act`);
+  }
+}
+
+/**
+ * Post what a tick did to an actor's conditions, if anything
+ *
+ * @private
+ * @async
+ * @param {Actor} actor - Actor
+ * @param {Array<string>} lines - Summary lines
+ */
+async function _postConditionMessage(actor, lines) {
+  if (lines.length === 0) return;
+
+  await ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content: `<div class="qud-condition-message"><strong>${actor.name}</strong>${lines.map(line => `<div>${line}</div>`).join('')}</div>`
+  });
+}
+
+/**
+ * Identify a combat turn
+ *
+ * @private
+ * @param {Combat} combat - Combat
+ * @param {Object} state - { round, turn }
+ * @returns {string}
+ */
+function _turnKey(combat, state) {
+  return `${combat.id}.${state.round}.${state.turn}`;
+}
+
+/**
+ * The turn in progress, if it is the actor's own
+ * A condition applied then would otherwise count that turn down as it ends.
+ *
+ * @private
+ * @param {Actor} actor - Actor being affected
+ * @returns {string|null}
+ */
+function _currentTurnKey(actor) {
+  const combat = game.combat;
+  if (!combat?.started || combat.combatant?.actor !== actor) return null;
+  return _turnKey(combat, { round: combat.round, turn: combat.turn });
+}
+
+/**
+ * Effect name, with the stack count for stacked conditions
+ *
+ * @private
+ * @param {Object} config - Condition config
+ * @param {number} stacks - Stacks
+ * @returns {string}
+ */
+function _effectName(config, stacks) {
+  return stacks > 1 ? `${config.label} ×${stacks}` : config.label;
+}
+
+/**
+ * Active effect image field: v12 renamed icon to img
+ *
+ * @private
+ * @returns {string} "img" or "icon"
+ */
+function _effectImageKey() {
+  return game.release?.generation >= 12 ? 'img' : 'icon';
+}
@@ -47,9 +47,121 @@ CAVESOFQUD.baseValues = {
   cooldownReductionPercent: 5,
   cooldownReductionMax: 80,
   cooldownMinimum: 5,
-  regenInterruptTurns: 5
+  regenInterruptTurns: 5,
+  criticalRoll: 20,
+  criticalPVBonus: 1,
+  limbRegrowthTime: 604800,  // World time seconds to regrow a lost limb without Regeneration (7 days)
+  quickness: 100,
+  turnEnergyCost: 100,        // Energy a turn costs under the energy initiative model
+  quicknessInitiativeStep: 10, // Quickness per +1 tabletop initiative
+  moveSquares: 6,             // Grid squares per turn at 100% move speed and full mobility
+  minimumMoveSquares: 1,      // A creature can always crawl this far
+  sprintSpeedBonus: 100       // Move speed % added while sprinting (Wings add more)
 };
 
+/**
+ * Damage Types
+ * Physical damage is only stopped by AV (penetration); elemental damage is
+ * additionally reduced by the matching resistance, 1% per point.
+ * Negative resistance increases damage; 100 or more is immunity.
+ * Source: https://wiki.cavesofqud.com/wiki/Resistances
+ */
+CAVESOFQUD.damageTypes = {
+  physical: { label: "Physical", icon: "fas fa-fist-raised", resistible: false },
+  heat: { label: "Heat", icon: "fas fa-fire", resistible: true },
+  cold: { label: "Cold", icon: "fas fa-snowflake", resistible: true },
+  electric: { label: "Electric", icon: "fas fa-bolt", resistible: true },
+  acid: { label: "Acid", icon: "fas fa-flask", resistible: true },
+  poison: { label: "Poison", icon: "fas fa-skull-crossbones", resistible: true }
+};
+
+/**
+ * Status Conditions
+ * Applied as active effects (so they show as token status icons) and ticked
+ * down at the start of the affected creature's turn in combat.
+ *
+ * - rounds: default duration when none is given
+ * - stacking: how a second application combines with an active one
+ *     refresh   - duration becomes the longer of the two
+ *     extend    - durations add up
+ *     intensity - stacks add up (to maxStacks), duration refreshes
+ *     none      - no effect while already active
+ * - dv / toHit: modifiers while active (per stack for intensity conditions)
+ * - dvZero: DV drops to 0 (helpless)
+ * - canAct / canMove: false blocks attacks / movement
+ * - noRegen: stops HP regeneration
+ * - damage: { formula, type } rolled each tick (per stack for intensity conditions)
+ * - removes: conditions this one ends when applied
+ * Source: https://wiki.cavesofqud.com/wiki/Status_effects
+ */
+CAVESOFQUD.conditions = {
+  poisoned: {
+    label: "Poisoned", icon: "icons/svg/poison.svg", rounds: 5, stacking: "intensity", maxStacks: 5,
+    damage: { formula: "1d2", type: "poison" }, noRegen: true,
+    description: "Takes poison damage every round and does not regenerate"
+  },
+  paralyzed: {
+    label: "Paralyzed", icon: "icons/svg/paralysis.svg", rounds: 3, stacking: "refresh",
+    dvZero: true, canAct: false, canMove: false,
+    description: "Cannot act or move; DV drops to 0"
+  },
+  confused: {
+    label: "Confused", icon: "icons/svg/terror.svg", rounds: 4, stacking: "refresh",
+    dv: -2, toHit: -3,
+    description: "Stumbles about: -2 DV, -3 to hit"
+  },
+  bleeding: {
+    label: "Bleeding", icon: "icons/svg/blood.svg", rounds: 5, stacking: "intensity", maxStacks: 10,
+    damage: { formula: "1", type: "physical" },
+    description: "Loses 1 HP per stack every round"
+  },
+  onFire: {
+    label: "On Fire", icon: "icons/svg/fire.svg", rounds: 3, stacking: "refresh",
+    damage: { formula: "1d4", type: "heat" }, removes: ["frozen"],
+    description: "Takes heat damage every round; puts out frost"
+  },
+  frozen: {
+    label: "Frozen", icon: "icons/svg/frozen.svg", rounds: 2, stacking: "refresh",
+    dvZero: true, canAct: false, canMove: false, removes: ["onFire"],
+    description: "Encased in ice: cannot act or move; DV drops to 0"
+  },
+  stuck: {
+    label: "Stuck", icon: "icons/svg/net.svg", rounds: 3, stacking: "refresh",
+    dv: -4, canMove: false,
+    description: "Cannot move: -4 DV"
+  },
+  prone: {
+    label: "Prone", icon: "icons/svg/falling.svg", rounds: 1, stacking: "none",
+    dv: -4, toHit: -2,
+    description: "Knocked down: -4 DV, -2 to hit until back up"
+  },
+  dazed: {
+    label: "Dazed", icon: "icons/svg/daze.svg", rounds: 3, stacking: "refresh",
+    dv: -2, toHit: -2,
+    description: "Reeling: -2 DV, -2 to hit"
+  },
+  stunned: {
+    label: "Stunned", icon: "icons/svg/unconscious.svg", rounds: 1, stacking: "extend",
+    dvZero: true, canAct: false,
+    description: "Cannot act; DV drops to 0"
+  },
+  dominated: {
+    label: "Dominated", icon: "icons/svg/mystery-man.svg", rounds: 3, stacking: "refresh",
+    description: "Its mind is held by its dominator, who decides its actions"
+  }
+};
+
+/**
+ * Range Bands for missile and thrown weapons
+ * A band applies while distance <= weapon range × maxMultiple; beyond the
+ * last band the target is out of range.
+ */
+CAVESOFQUD.rangeBands = [
+  { key: "short", label: "Short", maxMultiple: 1, penalty: 0 },
+  { key: "medium", label: "Medium", maxMultiple: 2, penalty: -2 },
+  { key: "long", label: "Long", maxMultiple: 3, penalty: -4 }
+];
+
 /**
  * Body Part Types
  * Based on Caves of Qud's body part system
@@ -270,6 +382,8 @@ CAVESOFQUD.laterality = {
 
 /**
  * Natural Weapon Damage Formulas
+ * Entries may also set damageType and damageComponents ([{type, formula}])
+ * for elemental natural weapons; these override the mutation item's values.
  * Source: Caves of Qud wiki mutation pages
  */
 CAVESOFQUD.naturalWeaponFormulas = {
@@ -312,6 +426,209 @@ CAVESOFQUD.naturalWeaponFormulas = {
   }
 };
 
+/**
+ * Advancement
+ * - xpMultiplier / xpBase: total XP to reach level L is xpMultiplier × L³ + xpBase
+ * - attributePointEvery: an attribute point every this many levels (3, 6, 9, ...)
+ * - allAttributesFrom / allAttributesEvery: +1 to every attribute at these levels (6, 11, 16, ...)
+ * Source: https://wiki.cavesofqud.com/wiki/Level
+ */
+CAVESOFQUD.advancement = {
+  xpMultiplier: 15,
+  xpBase: 100,
+  attributePointEvery: 3,
+  allAttributesFrom: 6,
+  allAttributesEvery: 5
+};
+
+/**
+ * Skill Trees
+ * Powers are bought with skill points once their prerequisites are owned.
+ * - cost: SP
+ * - prerequisites: power keys in the same tree
+ * - attributes: minimum attribute values ({ agility: 19 })
+ * - tier: the tree's tier once owned (the highest owned counts), read by derived stats
+ * Source: https://wiki.cavesofqud.com/wiki/Skills
+ */
+CAVESOFQUD.skillTrees = {
+  multiweaponFighting: {
+    label: "Multiweapon Fighting",
+    powers: {
+      multiweaponFighting: {
+        label: "Multiweapon Fighting", cost: 50, prerequisites: [], tier: 1,
+        effect: "+20% offhand attack chance"
+      },
+      multiweaponExpertise: {
+        label: "Multiweapon Expertise", cost: 100, prerequisites: ["multiweaponFighting"], tier: 2,
+        effect: "+35% offhand attack chance (replaces Multiweapon Fighting)"
+      },
+      multiweaponMastery: {
+        label: "Multiweapon Mastery", cost: 150, prerequisites: ["multiweaponExpertise"], attributes: { agility: 19 }, tier: 3,
+        effect: "+50% offhand attack chance (replaces Multiweapon Expertise)"
+      }
+    }
+  }
+};
+
+/**
+ * Character Creation
+ * - genotypes: point-buy budget and starting attribute value; Mutants also
+ *   get mutationPoints to spend on starting mutations (leftovers carry over)
+ * - attributeMax / expensiveAbove: bought attributes cap at attributeMax;
+ *   each point above expensiveAbove costs 2
+ * - callings (Mutant) and castes (True Kin): attribute bonuses added on top
+ *   of the point-buy and starting skills (names matching a skill tree power
+ *   count as that power)
+ * - cybernetics: True Kin pick one to start with, already installed
+ * Source: https://wiki.cavesofqud.com/wiki/Character_creation
+ */
+CAVESOFQUD.characterCreation = {
+  attributeMax: 24,
+  expensiveAbove: 18,
+  genotypes: {
+    Mutant: { label: "Mutant", points: 44, base: 10, mutationPoints: 12 },
+    TrueKin: { label: "True Kin", points: 38, base: 12, mutationPoints: 0 }
+  },
+  callings: {
+    apostle: {
+      label: "Apostle", attributes: { ego: 2, willpower: 1 },
+      skills: ["Persuasion", "Customs and Folklore"]
+    },
+    arconaut: {
+      label: "Arconaut", attributes: { agility: 2, intelligence: 1 },
+      skills: ["Short Blades", "Tinkering"]
+    },
+    greybeard: {
+      label: "Greybeard", attributes: { willpower: 2, toughness: 1 },
+      skills: ["Cudgel", "Endurance"]
+    },
+    gunslinger: {
+      label: "Gunslinger", attributes: { agility: 3 },
+      skills: ["Pistol"]
+    },
+    marauder: {
+      label: "Marauder", attributes: { strength: 2, toughness: 1 },
+      skills: ["Axe", "Multiweapon Fighting"]
+    },
+    scholar: {
+      label: "Scholar", attributes: { intelligence: 3 },
+      skills: ["Tinkering", "Physic"]
+    }
+  },
+  castes: {
+    artifex: {
+      label: "Artifex", attributes: { intelligence: 2, agility: 1 },
+      skills: ["Tinkering", "Pistol"]
+    },
+    consul: {
+      label: "Consul", attributes: { ego: 2, intelligence: 1 },
+      skills: ["Persuasion", "Customs and Folklore"]
+    },
+    praetorian: {
+      label: "Praetorian", attributes: { strength: 2, toughness: 1 },
+      skills: ["Long Blades", "Shield"]
+    },
+    priestOfAllSuns: {
+      label: "Priest of All Suns", attributes: { willpower: 2, ego: 1 },
+      skills: ["Physic", "Endurance"]
+    },
+    syzygyrior: {
+      label: "Syzygyrior", attributes: { agility: 2, strength: 1 },
+      skills: ["Short Blades", "Multiweapon Fighting"]
+    },
+    eunuch: {
+      label: "Eunuch", attributes: { toughness: 2, willpower: 1 },
+      skills: ["Cudgel", "Endurance"]
+    }
+  },
+  cybernetics: {
+    nightVision: { label: "Night Vision", slot: "Face", licenseTier: 1, effect: "You see in the dark." },
+    opticalBioscanner: { label: "Optical Bioscanner", slot: "Face", licenseTier: 1, effect: "You see the health and status of creatures you look at." },
+    dermalInsulation: { label: "Dermal Insulation", slot: "Body", licenseTier: 1, effect: "+1 AV and resistance to heat and cold." },
+    translucentSkin: { label: "Translucent Skin", slot: "Body", licenseTier: 1, effect: "Others find you harder to notice." },
+    stabilizerArmLocks: { label: "Stabilizer Arm Locks", slot: "Arm", licenseTier: 1, effect: "Missile weapons are steadier in your hands." },
+    rapidReleaseFingerFlexors: { label: "Rapid Release Finger Flexors", slot: "Hand", licenseTier: 1, effect: "You reload and draw faster." }
+  }
+};
+
+/**
+ * Mutation Points
+ * - perLevel: MP a Mutant earns per level gained
+ * - raiseCost: MP to raise a mutation one level
+ * - buyCost / buyChoices: MP for a new mutation, picked from this many random ones
+ * - levelCapDivisor / maxLevel: mutation level cap is floor(level / divisor) + 1, at most maxLevel
+ * - packs: compendiums new mutations are drawn from
+ * Source: https://wiki.cavesofqud.com/wiki/Mutations
+ */
+CAVESOFQUD.mutationPoints = {
+  perLevel: 1,
+  raiseCost: 1,
+  buyCost: 4,
+  buyChoices: 3,
+  levelCapDivisor: 2,
+  maxLevel: 10,
+  packs: ["cavesofqud.physicalmutations", "cavesofqud.mentalmutations"]
+};
+
+/**
+ * Flight (Wings)
+ * - altitude: grid squares of elevation when taking off
+ * - fallDamageFormula: physical damage from falling, @squares is the height in grid squares
+ */
+CAVESOFQUD.flight = {
+  altitude: 2,
+  fallDamageFormula: "(@squares)d6"
+};
+
+/**
+ * Mental Attacks, keyed by mutation name
+ * Penetration is rolled with mental PV (Ego modifier + mutation level)
+ * against the target's MA. Formulas use @level, the effective level.
+ * - cooldown: base cooldown in rounds
+ * - damage: rolled once per penetration
+ * - condition / durationFormula: applied for that many rounds on any penetration
+ * Source: https://wiki.cavesofqud.com/wiki/Mental_Armor
+ */
+CAVESOFQUD.mentalAttacks = {
+  "Sunder Mind": {
+    cooldown: 40,
+    damage: "1d3 + floor(@level / 2)"
+  },
+  "Confusion": {
+    cooldown: 40,
+    condition: "confused",
+    durationFormula: "1d4 + @level"
+  },
+  "Domination": {
+    cooldown: 75,
+    condition: "dominated",
+    durationFormula: "2 + @level"
+  }
+};
+
+/**
+ * Stinger Venoms
+ * A penetrating sting makes the target roll a Toughness save
+ * (1d20 + Toughness modifier) against saveDifficulty; on a failure the
+ * condition applies for durationFormula rounds. Both formulas use @level,
+ * the Stinger mutation's level.
+ * Source: https://wiki.cavesofqud.com/wiki/Stinger
+ */
+CAVESOFQUD.venoms = {
+  paralyzing: {
+    label: "Paralyzing Venom", condition: "paralyzed",
+    saveDifficulty: "12 + @level", durationFormula: "1d3 + floor(@level / 3)"
+  },
+  confusing: {
+    label: "Confusing Venom", condition: "confused",
+    saveDifficulty: "12 + @level", durationFormula: "1d4 + floor(@level / 2)"
+  },
+  poisoning: {
+    label: "Poisoning Venom", condition: "poisoned",
+    saveDifficulty: "12 + @level", durationFormula: "3 + floor(@level / 2)"
+  }
+};
+
 /**
  * Get natural weapon damage for a mutation type and level
  * @param {string} mutationType - Mutation type (e.g., "BurrowingClaws")
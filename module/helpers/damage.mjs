@@ -0,0 +1,107 @@
+/**
+ * Damage Types and Resistances
+ *
+ * Weapons deal their base damage formula as one damage type (physical unless
+ * stated otherwise) plus any number of typed components, e.g. a flaming
+ * dagger: 1d4 physical + 1d3 heat. Every penetration rolls the base formula
+ * and each component once.
+ *
+ * Elemental damage is then reduced by the target's matching resistance.
+ * See CAVESOFQUD.damageTypes for the list of types.
+ */
+
+import { CAVESOFQUD } from './config.mjs';
+
+/**
+ * Get a weapon's damage profile (base formula and type plus typed components)
+ * Works for weapon items and the virtual weapons from getNaturalWeapon
+ *
+ * @param {Item|Object} weapon - Weapon item or virtual weapon
+ * @returns {Object} { formula, type, components: [{type, formula}] }
+ *
+ * @example
+ * getDamageProfile(flamingDagger);
+ * // { formula: "1d4", type: "physical", components: [{ type: "heat", formula: "1d3" }] }
+ */
+export function getDamageProfile(weapon) {
+  const system = weapon.system ?? {};
+
+  return {
+    formula: system.damage,
+    type: normalizeDamageType(system.damageType),
+    components: (system.damageComponents ?? [])
+      .filter(component => component?.formula)
+      .map(component => ({
+        type: normalizeDamageType(component.type),
+        formula: component.formula
+      }))
+  };
+}
+
+/**
+ * Fall back to physical for missing or unknown damage types
+ *
+ * @param {string} type - Damage type key
+ * @returns {string} Known damage type key
+ */
+export function normalizeDamageType(type) {
+  return CAVESOFQUD.damageTypes[type] ? type : 'physical';
+}
+
+/**
+ * Reduce damage by a resistance percentage
+ * Positive resistance reduces damage, negative resistance increases it
+ *
+ * @param {number} amount - Incoming damage
+ * @param {number} resistance - Resistance (1% per point)
+ * @returns {number} Damage after resistance, rounded, never below 0
+ *
+ * @example
+ * applyResistance(10, 25);  // 8 (7.5 rounds up)
+ * applyResistance(10, -50); // 15
+ * applyResistance(10, 100); // 0
+ */
+export function applyResistance(amount, resistance = 0) {
+  return Math.max(0, Math.round(amount * (100 - resistance) / 100));
+}
+
+/**
+ * Apply a target's resistances to damage totals by type
+ *
+ * @param {Object} damageByType - Raw damage keyed by type, e.g. { physical: 7, heat: 4 }
+ * @param {Object} resistances - Target resistances keyed by type (actor.system.combat.resistances)
+ * @returns {Array<Object>} [{type, label, raw, resistance, final}] in CAVESOFQUD.damageTypes order
+ */
+export function calculateResistedDamage(damageByType, resistances = {}) {
+  const breakdown = [];
+
+  for (let [type, config] of Object.entries(CAVESOFQUD.damageTypes)) {
+    const raw = damageByType[type] || 0;
+    if (raw === 0) continue;
+
+    const resistance = config.resistible ? (resistances[type] || 0) : 0;
+    breakdown.push({
+      type: type,
+      label: config.label,
+      raw: raw,
+      resistance: resistance,
+      final: applyResistance(raw, resistance)
+    });
+  }
+
+  return breakdown;
+}
+
+/**
+ * Add one set of damage totals by type into another
+ *
+ * @param {Object} target - Totals to add into (modified)
+ * @param {Object} source - Totals to add
+ * @returns {Object} target
+ */
+export function addDamageByType(target, source = {}) {
+  for (let [type, amount] of Object.entries(source)) {
+    target[type] = (target[type] || 0) + amount;
+  }
+  return target;
+}
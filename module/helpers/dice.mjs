@@ -5,7 +5,35 @@
  * - Singlet rolls: 1d10-2 with exploding 8s
  * - Triplet evaluation: 3 singlets compared against target number
  * - Penetration resolution: Multiple triplets with PV reduction
+ *
+ * The parse* functions (module/dice/penetration.mjs) are pure: given the raw
+ * d10 results in the order they were rolled, they rebuild the full
+ * singlet/triplet structure. This is what lets a whole penetration sequence
+ * live inside one serializable Roll (see module/dice/penetration-roll.mjs).
+ */
+
+import QudPenetrationRoll from '../dice/penetration-roll.mjs';
+import { evaluateTriplet, parseSinglet } from '../dice/penetration.mjs';
+
+// The pure sequence functions live with the dice classes; re-exported so
+// callers keep importing them from here
+export {
+  evaluateTriplet,
+  formatTripletDetails,
+  parsePenetrationDice,
+  parseSinglet
+} from '../dice/penetration.mjs';
+
+/**
+ * Roll a single raw d10
+ *
+ * @async
+ * @returns {Promise<number>} Raw die result (1-10)
  */
+async function rollD10() {
+  const roll = await new Roll("1d10").evaluate();
+  return roll.terms[0].results[0].result;
+}
 
 /**
  * Roll a single penetration die (1d10-2 with exploding 8s)
@@ -26,29 +54,15 @@
  * // { total: 13, rolls: [{raw: 8, modified: 6}, {raw: 8, modified: 6}, {raw: 3, modified: 1}], exploded: true, explosionChain: [8,8,3] }
  */
 export async function rollQudSinglet() {
-  let total = 0;
-  let rolls = [];
-  let continueRolling = true;
-
-  while (continueRolling) {
-    const roll = await new Roll("1d10").evaluate();
-    const dieResult = roll.terms[0].results[0].result;
-    const modified = dieResult - 2;
+  const dice = [];
+  let singlet = null;
 
-    rolls.push({ raw: dieResult, modified: modified });
-    total += modified;
-
-    // Per Qud wiki: "Each time that the maximum result of 8 is rolled"
-    // Maximum result = 8 (which happens when raw die = 10)
-    continueRolling = (modified === 8);  // Result is 8 (raw was 10)
+  while (!singlet) {
+    dice.push(await rollD10());
+    singlet = parseSinglet(dice);
   }
 
-  return {
-    total: total,
-    rolls: rolls,
-    exploded: rolls.length > 1,
-    explosionChain: rolls.map(r => r.raw)
-  };
+  return singlet;
 }
 
 /**
@@ -76,26 +90,13 @@ export async function rollQudSinglet() {
  * // { singlets: [...], targetNumber: 4, singletsPassed: 2, penetrations: 1, allPassed: false }
  */
 export async function rollQudTriplet(attackerPV, defenderAV) {
-  // Roll 3 singlets in parallel
-  const singlets = await Promise.all([
-    rollQudSinglet(),
-    rollQudSinglet(),
-    rollQudSinglet()
-  ]);
-
-  // Per Qud wiki: PV is ADDED to each singlet, then compared to AV
-  // So: (singlet + PV) >= AV for each singlet
-  const singletsPassed = singlets.filter(s => (s.total + attackerPV) >= defenderAV).length;
+  // Roll sequentially so the dice order matches parsePenetrationDice
+  const singlets = [];
+  for (let i = 0; i < 3; i++) {
+    singlets.push(await rollQudSinglet());
+  }
 
-  return {
-    singlets: singlets,
-    attackerPV: attackerPV,
-    defenderAV: defenderAV,
-    targetNumber: defenderAV,  // What we're trying to beat (not PV-AV!)
-    singletsPassed: singletsPassed,
-    penetrations: singletsPassed > 0 ? 1 : 0,
-    allPassed: singletsPassed === 3
-  };
+  return evaluateTriplet(singlets, attackerPV, defenderAV);
 }
 
 /**
@@ -103,7 +104,8 @@ export async function rollQudTriplet(attackerPV, defenderAV) {
  *
  * Rolls triplets until one fails or PV becomes ≤ 0. Each successful triplet
  * (where all 3 singlets pass) reduces the effective PV by 2 for the next triplet.
- * Returns the complete penetration result with all triplets rolled.
+ * The whole sequence is rolled as a single QudPenetrationRoll, which is
+ * returned alongside the breakdown so it can be posted or serialized.
  *
  * @async
  * @param {number} attackerPV - Initial attacker PV (base + weapon)
@@ -113,35 +115,17 @@ export async function rollQudTriplet(attackerPV, defenderAV) {
  * @returns {number} result.totalPenetrations - Sum of penetrations from all triplets
  * @returns {number} result.initialPV - Starting PV
  * @returns {number} result.finalPV - PV after all reductions
+ * @returns {QudPenetrationRoll} result.roll - The evaluated roll
  *
  * @example
  * const result = await resolvePenetration(10, 4);
- * // { triplets: [...], totalPenetrations: 3, initialPV: 10, finalPV: 4 }
+ * // { triplets: [...], totalPenetrations: 3, initialPV: 10, finalPV: 4, roll: QudPenetrationRoll }
  */
 export async function resolvePenetration(attackerPV, defenderAV) {
-  let currentPV = attackerPV;
-  let totalPenetrations = 0;
-  let triplets = [];
-  let continueRolling = true;
-
-  while (continueRolling && currentPV > 0) {
-    const triplet = await rollQudTriplet(currentPV, defenderAV);
-    triplets.push(triplet);
-    totalPenetrations += triplet.penetrations;
-
-    // If all 3 singlets passed, roll another triplet with PV-2
-    // Otherwise, stop
-    if (triplet.allPassed) {
-      currentPV -= 2;
-    } else {
-      continueRolling = false;
-    }
-  }
+  const roll = await QudPenetrationRoll.fromValues(attackerPV, defenderAV).evaluate();
 
   return {
-    triplets: triplets,
-    totalPenetrations: totalPenetrations,
-    initialPV: attackerPV,
-    finalPV: currentPV
+    ...roll.penetration,
+    roll: roll
   };
 }
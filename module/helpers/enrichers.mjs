@@ -0,0 +1,61 @@
+/**
+ * Text Enrichers
+ * Custom inline syntax for journals, item descriptions and chat
+ *
+ * - @pen[PV,AV]         → clickable penetration roll (PV vs AV)
+ * - @pen[PV,AV]{Label}  → same, with a custom label
+ */
+
+import QudPenetrationRoll from '../dice/penetration-roll.mjs';
+
+/**
+ * Register all system enrichers and their click handlers
+ * Called once from the init hook
+ */
+export function registerEnrichers() {
+  CONFIG.TextEditor.enrichers.push({
+    pattern: /@pen\[(\d+)\s*,\s*(-?\d+)\](?:\{([^}]+)\})?/gi,
+    enricher: enrichPenetration
+  });
+
+  document.addEventListener('click', onClickPenetrationLink);
+}
+
+/**
+ * Replace an @pen[PV,AV] match with a roll link
+ *
+ * @param {RegExpMatchArray} match - Pattern match
+ * @returns {HTMLElement} Link element
+ */
+function enrichPenetration(match) {
+  const [, pv, av, label] = match;
+
+  const link = document.createElement('a');
+  link.classList.add('qud-penetration-link');
+  link.dataset.pv = pv;
+  link.dataset.av = av;
+  link.title = `Roll penetration: PV ${pv} vs AV ${av}`;
+  link.innerHTML = `<i class="fas fa-dice-d10"></i> ${label ?? `PV ${pv} vs AV ${av}`}`;
+
+  return link;
+}
+
+/**
+ * Roll a penetration sequence when an enriched link is clicked
+ *
+ * @param {MouseEvent} event - Click event
+ */
+async function onClickPenetrationLink(event) {
+  const link = event.target.closest?.('a.qud-penetration-link');
+  if (!link) return;
+  event.preventDefault();
+
+  const pv = Number(link.dataset.pv);
+  const av = Number(link.dataset.av);
+
+  const roll = await QudPenetrationRoll.fromValues(pv, av).evaluate();
+  await roll.toMessage({
+    speaker: ChatMessage.getSpeaker(),
+    flavor: `Penetration: PV ${pv} vs AV ${av}`
+  });
+}
@@ -0,0 +1,236 @@
+/**
+ * Flight
+ *
+ * An active Wings mutation lets a creature fly. Flying is stored on the actor
+ * (system.flying) and kept in step with its tokens' elevation: taking off
+ * raises them to CAVESOFQUD.flight.altitude squares, landing lowers them to
+ * 0, and raising or lowering a token's elevation by hand takes off or lands.
+ *
+ * While flying:
+ * - movement uses the Wings sprint bonus and ignores lost Feet (see actor._calculateMovement)
+ * - creatures on the ground cannot reach the flyer in melee
+ * - losing a body part or a condition that stops movement (Paralyzed,
+ *   Frozen, Stuck) makes the flyer fall: damage per square of height, then prone
+ */
+
+import { CAVESOFQUD } from './config.mjs';
+import { applyCondition } from './conditions.mjs';
+import { withoutSeed } from './random.mjs';
+
+/**
+ * Why an actor cannot take off, if it cannot
+ *
+ * @param {Actor} actor - Actor
+ * @returns {string|null} Reason, or null if it can fly
+ */
+export function getFlightBlocker(actor) {
+  if (!actor.system.movement?.hasWings) return `${actor.name} has no wings to fly with`;
+  if (!actor.system.combat.canMove) {
+    return `${actor.name} is ${actor.system.combat.moveBlockedBy.toLowerCase()} and cannot fly`;
+  }
+  return null;
+}
+
+/**
+ * Take off or land, moving the actor's tokens to flight altitude or the ground
+ *
+ * @async
+ * @param {Actor} actor - Actor
+ * @param {boolean} flying - true to take off, false to land
+ * @returns {Promise<boolean>} Whether the actor is now flying
+ * @throws {Error} If the actor cannot take off
+ */
+export async function setFlying(actor, flying) {
+  if (!!actor.system.flying === flying) return flying;
+
+  if (flying) {
+    const blocker = getFlightBlocker(actor);
+    if (blocker) throw new Error(blocker);
+  }
+
+  await actor.update({ 'system.flying': flying });
+  await _setTokenElevation(actor, flying ? CAVESOFQUD.flight.altitude * _gridDistance() : 0);
+
+  await ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content: `<div class="qud-flight-message"><strong>${actor.name}</strong> ${flying ? 'takes flight' : 'lands'}.</div>`
+  });
+
+  return flying;
+}
+
+/**
+ * Drop a flying actor to the ground
+ * Deals fallDamageFormula damage (@squares: height in grid squares) and knocks it prone.
+ *
+ * @async
+ * @param {Actor} actor - Falling actor
+ * @param {string} reason - Why it falls (shown in chat)
+ * @returns {Promise<Object|null>} { squares, damage } or null if it was not flying
+ *
+ * @example
+ * // Paralyzed at 10 ft on a 5 ft grid
+ * await fall(actor, "paralyzed"); // { squares: 2, damage: 7 }
+ */
+export async function fall(actor, reason) {
+  if (!actor.system.flying) return null;
+
+  const tokens = actor.getActiveTokens(false, true);
+  const elevation = tokens.length > 0
+    ? Math.max(...tokens.map(token => token.elevation || 0))
+    : CAVESOFQUD.flight.altitude * _gridDistance();
+  const squares = Math.max(1, Math.round(elevation / _gridDistance()));
+
+  await actor.update({ 'system.flying': false });
+  await _setTokenElevation(actor, 0);
+
+  const roll = await withoutSeed(() => new Roll(CAVESOFQUD.flight.fallDamageFormula, { squares }).evaluate());
+  await actor.applyDamage(roll.total, 'physical');
+  await applyCondition(actor, 'prone', { source: 'Fall' });
+
+  await ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content: `<div class="qud-flight-message qud-fall"><strong>${actor.name}</strong> falls from the air (${reason}), ` +
+      `taking ${roll.total} damage and landing prone.</div>`
+  });
+
+  return { squares: squares, damage: roll.total };
+}
+
+/**
+ * Check that a melee attacker can reach its target
+ * Creatures on the ground cannot reach flyers; flyers can swoop on anyone.
+ *
+ * @param {Actor} attacker - Attacking actor
+ * @param {Actor} target - Target actor
+ * @throws {Error} If the target is out of reach
+ */
+export function assertMeleeReach(attacker, target) {
+  if (target.system.movement?.flying && !attacker.system.movement?.flying) {
+    throw new Error(`${target.name} is flying out of ${attacker.name}'s melee reach`);
+  }
+}
+
+/**
+ * Register flight hooks
+ * Called once from the init hook
+ */
+export function registerFlightHooks() {
+  Hooks.on('cavesofqud.dismember', onDismember);
+  Hooks.on('createActiveEffect', onCreateActiveEffect);
+  Hooks.on('updateToken', onUpdateToken);
+  Hooks.on('renderTokenHUD', onRenderTokenHUD);
+}
+
+/**
+ * Losing a body part in the air means falling
+ * The dismember hook only runs on the client that severed the part.
+ *
+ * @param {Actor} actor - Dismembered actor
+ * @param {Object} result - { partName, ... }
+ */
+async function onDismember(actor, result) {
+  if (!actor.system.flying) return;
+  await fall(actor, `lost ${result.partName.toLowerCase()}`);
+}
+
+/**
+ * A condition that stops movement (Paralyzed, Frozen, Stuck) in the air means falling
+ *
+ * @param {ActiveEffect} effect - Created effect
+ * @param {Object} options - Creation options
+ * @param {string} userId - User who created it
+ */
+async function onCreateActiveEffect(effect, options, userId) {
+  if (userId !== game.user.id) return;
+
+  const actor = effect.parent;
+  if (!(actor instanceof Actor) || !actor.system.flying) return;
+
+  const condition = [...(effect.statuses ?? [])]
+    .map(id => CAVESOFQUD.conditions[id])
+    .find(config => config?.canMove === false);
+  if (condition) await fall(actor, condition.label.toLowerCase());
+}
+
+/**
+ * Take off or land when a token's elevation is changed by hand
+ *
+ * @param {TokenDocument} token - Updated token
+ * @param {Object} changes - Applied changes
+ * @param {Object} options - Update options
+ * @param {string} userId - User who made the change
+ */
+async function onUpdateToken(token, changes, options, userId) {
+  if (!('elevation' in changes) || options.cavesofqud?.flight || userId !== game.user.id) return;
+
+  const actor = token.actor;
+  if (!actor?.system.movement) return;
+
+  if (changes.elevation > 0 && !actor.system.flying && !getFlightBlocker(actor)) {
+    await actor.update({ 'system.flying': true });
+  } else if (changes.elevation <= 0 && actor.system.flying) {
+    await actor.update({ 'system.flying': false });
+  }
+}
+
+/**
+ * Add a take off / land button to the token HUD for winged actors
+ *
+ * @param {TokenHUD} hud - Token HUD
+ * @param {jQuery|HTMLElement} html - Rendered HUD (HTMLElement from v13)
+ */
+function onRenderTokenHUD(hud, html) {
+  const actor = hud.object?.actor;
+  if (!actor?.isOwner || !actor.system.movement?.hasWings) return;
+
+  const root = html instanceof HTMLElement ? html : html[0];
+  const column = root.querySelector('.col.left');
+  if (!column) return;
+
+  const flying = !!actor.system.flying;
+  const button = document.createElement('div');
+  button.classList.add('control-icon', 'qud-flight');
+  if (flying) button.classList.add('active');
+  button.title = flying ? 'Land' : 'Take Flight';
+  button.innerHTML = '<i class="fas fa-dove"></i>';
+
+  button.addEventListener('click', async event => {
+    event.preventDefault();
+
+    try {
+      await setFlying(actor, !flying);
+      hud.render();
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  });
+
+  column.appendChild(button);
+}
+
+/**
+ * Set the elevation of all of an actor's tokens on the canvas
+ *
+ * @private
+ * @param {Actor} actor - Actor
+ * @param {number} elevation - Elevation in scene units
+ */
+async function _setTokenElevation(actor, elevation) {
+  for (let token of actor.getActiveTokens(false, true)) {
+    if (token.elevation === elevation) continue;
+    await token.update({ elevation }, { cavesofqud: { flight: true } });
+  }
+}
+
+/**
+ * Scene units per grid square (1 without a scene)
+ *
+ * @private
+ * @returns {number}
+ */
+function _gridDistance() {
+  return canvas.scene?.grid.distance || 1;
+}
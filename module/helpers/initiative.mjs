@@ -0,0 +1,91 @@
+/**
+ * Quickness and Initiative
+ *
+ * Two initiative modes, chosen by the "initiativeMode" world setting:
+ *
+ * - energy (Qud's model): every round each combatant gains energy equal to
+ *   its Quickness (base 100); each turn costs 100 energy. Whoever holds the
+ *   most energy acts next, so a Quickness 150 creature acts twice every other
+ *   round and a Quickness 75 one misses every fourth. The combatant's
+ *   initiative value is its starting energy; rolling initiative sets a random
+ *   head start of 1d100.
+ * - tabletop (default): one turn per round, ordered by 1d20 + AGI modifier + 1 per 10
+ *   Quickness above 100.
+ *
+ * Source: https://wiki.cavesofqud.com/wiki/Quickness
+ */
+
+import { CAVESOFQUD } from './config.mjs';
+
+/**
+ * Initiative formula for each mode
+ */
+export const INITIATIVE_FORMULAS = {
+  energy: "1d100",
+  tabletop: "1d20 + @attributes.agility.mod + @quickness.initiativeBonus"
+};
+
+/**
+ * Current initiative mode
+ *
+ * @returns {string} "energy" or "tabletop"
+ */
+export function getInitiativeMode() {
+  return game.settings.get('cavesofqud', 'initiativeMode');
+}
+
+/**
+ * Tabletop initiative bonus for a Quickness score
+ *
+ * @param {number} quickness - Quickness
+ * @returns {number} +1 per full 10 points above 100 (negative below)
+ *
+ * @example
+ * getQuicknessInitiativeBonus(125); // 2
+ * getQuicknessInitiativeBonus(90);  // -1
+ */
+export function getQuicknessInitiativeBonus(quickness) {
+  const difference = quickness - CAVESOFQUD.baseValues.quickness;
+  return Math.trunc(difference / CAVESOFQUD.baseValues.quicknessInitiativeStep);
+}
+
+/**
+ * Work out one round of turns under the energy model
+ * Each entry gains its quickness, then the entry holding the most energy
+ * takes a turn and pays turnEnergyCost until nobody can afford one.
+ * Ties go to the quicker entry, then to list order.
+ *
+ * @param {Array<Object>} entries - [{ id, energy, quickness }]
+ * @returns {Object} { schedule: [id, ...] in turn order (ids may repeat), energy: { [id]: leftover } }
+ *
+ * @example
+ * scheduleEnergyRound([
+ *   { id: "goat", energy: 60, quickness: 150 },
+ *   { id: "snapjaw", energy: 20, quickness: 100 }
+ * ]);
+ * // { schedule: ["goat", "snapjaw", "goat"], energy: { goat: 10, snapjaw: 20 } }
+ */
+export function scheduleEnergyRound(entries) {
+  const cost = CAVESOFQUD.baseValues.turnEnergyCost;
+  const pool = entries.map((entry, index) => ({
+    ...entry,
+    index: index,
+    energy: (entry.energy || 0) + Math.max(0, entry.quickness)
+  }));
+
+  const schedule = [];
+  for (;;) {
+    const ready = pool.filter(entry => entry.energy >= cost);
+    if (ready.length === 0) break;
+
+    ready.sort((a, b) => (b.energy - a.energy) || (b.quickness - a.quickness) || (a.index - b.index));
+    const next = ready[0];
+    schedule.push(next.id);
+    next.energy -= cost;
+  }
+
+  return {
+    schedule: schedule,
+    energy: Object.fromEntries(pool.map(entry => [entry.id, entry.energy]))
+  };
+}
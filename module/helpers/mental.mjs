@@ -0,0 +1,372 @@
+/**
+ * Mental Attacks
+ *
+ * Mental mutations such as Sunder Mind, Confusion and Domination attack the
+ * mind rather than the body. There is no to-hit roll: penetration is rolled
+ * with resolvePenetration using the attacker's mental PV (Ego modifier +
+ * mutation level) against the target's MA (4 + WIL modifier). Each
+ * penetration rolls the attack's damage; any penetration applies its
+ * condition. Damage and durations scale with the mutation's effective level.
+ *
+ * Results post to their own chat card (templates/chat/mental-attack.hbs),
+ * stored in flags.cavesofqud.mentalAttack. In manual damage mode the GM
+ * applies them from the card, like weapon attacks.
+ *
+ * Mental attacks are activated abilities: using one (sheet or token HUD)
+ * attacks the user's first target and starts the cooldown.
+ * Source: https://wiki.cavesofqud.com/wiki/Mental_Armor
+ */
+
+import { CAVESOFQUD } from './config.mjs';
+import { resolvePenetration, formatTripletDetails } from './dice.mjs';
+import { withSeed, getActionSeed } from './random.mjs';
+import { assertCanAct, applyCondition } from './conditions.mjs';
+import { registerAbility } from './abilities.mjs';
+import { isDamageAutomatic, applyDamageToTarget, getAttackTarget, serializeAttackResults } from './combat.mjs';
+
+/**
+ * Look up the mental attack a mutation makes
+ *
+ * @param {Item} item - Mutation item
+ * @returns {Object|null} Mental attack definition (see CAVESOFQUD.mentalAttacks)
+ */
+export function getMentalAttack(item) {
+  if (item?.type !== 'mutation') return null;
+  return CAVESOFQUD.mentalAttacks[item.name] ?? null;
+}
+
+/**
+ * Mental PV for an attack: the attacker's Ego modifier + the mutation's level
+ * The level here is the base level, so Ego is not counted twice.
+ *
+ * @param {Actor} attacker - Attacking actor
+ * @param {Item} item - Mental mutation
+ * @returns {Object} { ego, level, pv }
+ *
+ * @example
+ * // Level 3 Sunder Mind, EGO 20 (+2)
+ * getMentalPenetration(attacker, item); // { ego: 2, level: 3, pv: 5 }
+ */
+export function getMentalPenetration(attacker, item) {
+  const ego = attacker.getEgoModifier();
+  const level = item.system.level || 1;
+  return { ego: ego, level: level, pv: ego + level };
+}
+
+/**
+ * Resolve a mental attack: penetration against MA, then damage and condition
+ *
+ * @async
+ * @param {Actor} attacker - Attacking actor
+ * @param {Actor} target - Target actor
+ * @param {Item} item - Mental mutation making the attack
+ * @param {Object} options - Attack options
+ * @param {number} options.seed - RNG seed (replays the same rolls)
+ * @returns {Promise<Object>} Mental attack results (see _finishMentalAttack)
+ * @throws {Error} If the mutation makes no mental attack or the attacker cannot act
+ *
+ * @example
+ * const results = await executeMentalAttack(esper, snapjaw, esper.items.getName("Confusion"));
+ * results.effects; // [{ key: "condition", condition: "confused", rounds: 5, ... }]
+ */
+export async function executeMentalAttack(attacker, target, item, { seed = getActionSeed() } = {}) {
+  const definition = getMentalAttack(item);
+  if (!definition) {
+    throw new Error(`${item?.name ?? 'That'} is not a mental attack`);
+  }
+  assertCanAct(attacker);
+
+  const targetHPBefore = target.system.health.value;
+  const rolled = await withSeed(seed, () => rollMentalPenetration(attacker, target, item, definition));
+
+  const results = await _finishMentalAttack(attacker, target, rolled, targetHPBefore);
+  results.seed = seed;
+  return results;
+}
+
+/**
+ * Roll a mental attack's penetration, damage and condition
+ * Shared by executeMentalAttack and the card's Re-roll Penetration button
+ *
+ * @async
+ * @param {Actor} attacker - Attacking actor
+ * @param {Actor} target - Target actor
+ * @param {Item} item - Mental mutation
+ * @param {Object} definition - Mental attack definition
+ * @returns {Promise<Object>} { mutationName, level, mental, targetMA, penetration, damageFormula, damageRolls, totalDamage, effects }
+ */
+export async function rollMentalPenetration(attacker, target, item, definition) {
+  const mental = getMentalPenetration(attacker, item);
+  const targetMA = target.system.combat.ma;
+  const data = { level: item.getEffectiveLevel() };
+
+  const penetration = await resolvePenetration(mental.pv, targetMA);
+
+  const damageRolls = [];
+  if (definition.damage) {
+    for (let i = 0; i < penetration.totalPenetrations; i++) {
+      damageRolls.push(await new Roll(definition.damage, data).evaluate());
+    }
+  }
+
+  const effects = [];
+  if (definition.condition && penetration.totalPenetrations > 0) {
+    const rounds = Math.max(1, (await new Roll(definition.durationFormula, data).evaluate()).total);
+    const condition = CAVESOFQUD.conditions[definition.condition];
+    effects.push({
+      key: 'condition',
+      condition: definition.condition,
+      rounds: rounds,
+      source: item.name,
+      label: condition.label,
+      description: `${condition.label.toLowerCase()} for ${rounds} round${rounds === 1 ? '' : 's'}`
+    });
+  }
+
+  return {
+    mutationId: item.id,
+    mutationName: item.name,
+    level: data.level,
+    mental: mental,
+    targetMA: targetMA,
+    penetration: penetration,
+    damageFormula: definition.damage ?? null,
+    damageRolls: damageRolls,
+    totalDamage: damageRolls.reduce((sum, roll) => sum + roll.total, 0),
+    effects: effects
+  };
+}
+
+/**
+ * Apply a mental attack in automatic mode and build the result
+ *
+ * @private
+ * @async
+ * @param {Actor} attacker - Attacking actor
+ * @param {Actor} target - Target actor
+ * @param {Object} rolled - Rolls (see rollMentalPenetration)
+ * @param {number} targetHPBefore - Target HP before the attack
+ * @returns {Promise<Object>} Complete mental attack results
+ */
+async function _finishMentalAttack(attacker, target, rolled, targetHPBefore) {
+  const application = isDamageAutomatic() ?
+    await applyDamageToTarget(target, rolled.totalDamage) :
+    null;
+
+  if (application) {
+    Object.assign(application, await _applyMentalEffects(target, rolled.effects));
+  }
+
+  return {
+    attackerId: attacker.id,
+    attackerUuid: attacker.uuid,
+    attackerName: attacker.name,
+    targetId: target.id,
+    targetUuid: target.uuid,
+    targetName: target.name,
+    ...rolled,
+    targetHPBefore: targetHPBefore,
+    targetHPAfter: target.system.health.value,
+    application: application,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Apply a stored mental attack's pending conditions (the card's Apply Effects button)
+ *
+ * @async
+ * @param {Object} attackData - Stored mental attack results (from message flags)
+ * @returns {Promise<Object>} Updated attack data
+ * @throws {Error} If nothing is left to apply or the target is gone
+ */
+export async function applyMentalAttackEffects(attackData) {
+  const updated = foundry.utils.deepClone(attackData);
+  if (_getPendingEffects(updated.effects).length === 0) {
+    throw new Error("This attack has no effects left to apply");
+  }
+
+  const target = getAttackTarget(updated);
+  if (!target) {
+    throw new Error(`Target ${updated.targetName} no longer exists`);
+  }
+
+  await _applyMentalEffects(target, updated.effects);
+  return updated;
+}
+
+/**
+ * Re-roll a stored mental attack's penetration, damage and condition
+ * Only allowed while nothing has been applied.
+ *
+ * @async
+ * @param {Object} attackData - Stored mental attack results (from message flags)
+ * @param {Object} options - Re-roll options
+ * @param {number} options.seed - RNG seed for the re-roll
+ * @returns {Promise<Object>} Updated attack data (serialized)
+ * @throws {Error} If damage or effects were applied, or the attacker or mutation is gone
+ */
+export async function rerollMentalAttack(attackData, { seed = getActionSeed() } = {}) {
+  if (attackData.application) {
+    throw new Error("Undo the applied damage before re-rolling penetration");
+  }
+  if (attackData.effects.some(effect => effect.applied !== undefined)) {
+    throw new Error("This attack's effects have already been applied");
+  }
+
+  const attacker = (attackData.attackerUuid && fromUuidSync(attackData.attackerUuid)) || game.actors.get(attackData.attackerId);
+  const target = getAttackTarget(attackData);
+  const item = attacker?.items.get(attackData.mutationId);
+  if (!attacker || !target || !getMentalAttack(item)) {
+    throw new Error("The attacker, target or mutation of this attack no longer exists");
+  }
+
+  const rolled = await withSeed(seed, () => rollMentalPenetration(attacker, target, item, getMentalAttack(item)));
+
+  return serializeAttackResults({ ...attackData, ...rolled, rerollSeed: seed });
+}
+
+/**
+ * Conditions of a mental attack that have not been applied yet
+ *
+ * @private
+ * @param {Array<Object>} effects - Attack effects
+ * @returns {Array<Object>} Pending effects
+ */
+function _getPendingEffects(effects) {
+  return (effects ?? []).filter(effect => effect.key === 'condition' && effect.applied === undefined);
+}
+
+/**
+ * Apply every pending condition and mark it with the outcome
+ *
+ * @private
+ * @async
+ * @param {Actor} target - Target actor
+ * @param {Array<Object>} effects - Attack effects (updated in place)
+ * @returns {Promise<Object>} What was applied, for undo { conditions: [undo data], severed: [] }
+ */
+async function _applyMentalEffects(target, effects) {
+  const record = { conditions: [], severed: [] };
+
+  for (const effect of _getPendingEffects(effects)) {
+    const applied = await applyCondition(target, effect.condition, { rounds: effect.rounds, source: effect.source });
+    effect.applied = !!applied;
+    if (applied) record.conditions.push(applied.undo);
+  }
+
+  return record;
+}
+
+/**
+ * Format mental attack results for the chat card template
+ *
+ * @param {Object} attackData - Mental attack results
+ * @returns {Object} Template data
+ */
+export function formatMentalAttackResults(attackData) {
+  const { mental, penetration, application } = attackData;
+  const penetrations = penetration?.totalPenetrations || 0;
+
+  let hpChange = "Not applied";
+  if (application) {
+    const half = application.multiplier === 0.5 ? ", half" : "";
+    hpChange = `${application.hpBefore} → ${application.hpAfter} (-${application.amount}${half})`;
+  }
+
+  const rolls = attackData.damageRolls.map(roll => roll.total);
+  const effectsApplied = attackData.effects.some(effect => effect.applied !== undefined);
+
+  return {
+    attackerName: attackData.attackerName,
+    targetName: attackData.targetName,
+    mutationName: attackData.mutationName,
+    level: attackData.level,
+    mentalPV: `${mental.pv} (Ego ${mental.ego >= 0 ? '+' : ''}${mental.ego}, level ${mental.level})`,
+    targetMA: attackData.targetMA,
+    penetrations: penetrations,
+    damage: rolls.length > 0 ? `${attackData.damageFormula}: ${rolls.join(' + ')} = ${attackData.totalDamage}` : null,
+    tripletDetails: formatTripletDetails(penetration),
+    classEffects: attackData.effects,
+    hasDamage: !!attackData.damageFormula,
+    totalDamage: attackData.totalDamage,
+    hpChange: hpChange,
+    applied: !!application,
+    canReroll: !application && !effectsApplied,
+    canApplyEffects: _getPendingEffects(attackData.effects).length > 0,
+    seed: attackData.seed,
+    rerollSeed: attackData.rerollSeed
+  };
+}
+
+/**
+ * Render the mental attack card HTML
+ *
+ * @async
+ * @param {Object} attackData - Serialized mental attack results
+ * @returns {Promise<string>} Card HTML
+ */
+export async function renderMentalAttackCard(attackData) {
+  return renderTemplate(
+    "systems/cavesofqud/templates/chat/mental-attack.hbs",
+    formatMentalAttackResults(attackData)
+  );
+}
+
+/**
+ * Post a mental attack card
+ *
+ * @async
+ * @param {Object} attackResults - Mental attack results
+ * @param {Actor} attacker - Attacking actor
+ * @returns {Promise<ChatMessage>} Created message
+ */
+export async function createMentalAttackChatMessage(attackResults, attacker) {
+  const attackData = serializeAttackResults(attackResults);
+
+  return ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor: attacker }),
+    content: await renderMentalAttackCard(attackData),
+    type: CONST.CHAT_MESSAGE_TYPES.OTHER,
+    flags: { cavesofqud: { mentalAttack: attackData } }
+  });
+}
+
+/**
+ * Store updated mental attack data on its card and re-render it
+ *
+ * @async
+ * @param {ChatMessage} message - Mental attack card
+ * @param {Object} attackData - Updated attack data
+ * @returns {Promise<ChatMessage>} Updated message
+ */
+export async function updateMentalAttackChatMessage(message, attackData) {
+  return message.update({
+    content: await renderMentalAttackCard(attackData),
+    'flags.cavesofqud.mentalAttack': attackData
+  });
+}
+
+/**
+ * Register every mental attack as an activated ability
+ * Using one attacks the user's first targeted token.
+ * Called once from the init hook
+ */
+export function registerMentalAttackAbilities() {
+  for (let [name, definition] of Object.entries(CAVESOFQUD.mentalAttacks)) {
+    registerAbility(name, {
+      cooldown: definition.cooldown,
+      async use(actor, item) {
+        const target = game.user.targets.first()?.actor;
+        if (!target) {
+          throw new Error(`Target a creature before using ${name}`);
+        }
+
+        const results = await actor.rollMentalAttack(target, item.id);
+        const penetrations = results.penetration.totalPenetrations;
+        return `Mental attack on ${target.name}: ${penetrations} penetration${penetrations === 1 ? '' : 's'}`;
+      }
+    });
+  }
+}
@@ -0,0 +1,320 @@
+/**
+ * Movement
+ *
+ * Each turn a creature may move a number of grid squares worked out from:
+ * - its move speed: 100% + mutation movement speed bonuses
+ * - its Mobility: the mobility of its body parts against its body plan's,
+ *   so losing Feet (or an Arm) slows it down
+ * - sprinting: +100% move speed for the turn, more with Wings
+ *
+ * During a started combat the squares a token is dragged on its combatant's
+ * own turn are counted against its budget, which resets at the start of each
+ * of its turns. Moves at other times (the GM repositioning, being pushed)
+ * are not counted.
+ * The movementBudget world setting decides whether going over only warns or
+ * also stops the move (the GM is only ever warned). Conditions that stop
+ * movement (Paralyzed, Stuck...) are checked the same way.
+ */
+
+import { CAVESOFQUD } from './config.mjs';
+import { assertCanAct } from './conditions.mjs';
+
+/**
+ * Total the mobility of a body, compared with its body plan
+ *
+ * @param {Object} bodyParts - Body parts object
+ * @param {Object} bodyPlan - Body plan (see createBodyPlan); the current body counts as whole without one
+ * @returns {Object} { current, max, factor } - factor is current / max (1 for bodies without mobility parts)
+ *
+ * @example
+ * // Humanoid that lost its Feet: arms 5 + 5, planned 5 + 5 + 10
+ * getBodyMobility(bodyParts, bodyPlan); // { current: 10, max: 20, factor: 0.5 }
+ */
+export function getBodyMobility(bodyParts, bodyPlan) {
+  const current = Object.values(bodyParts ?? {})
+    .reduce((total, part) => total + (part.properties?.mobility || 0), 0);
+
+  const plan = Object.values(bodyPlan ?? {});
+  const max = plan.length > 0
+    ? plan.reduce((total, entry) => total + (CAVESOFQUD.bodyPartTypes[entry.type]?.properties.mobility || 0), 0)
+    : current;
+
+  return {
+    current: current,
+    max: Math.max(max, current),
+    factor: max > 0 ? Math.min(1, current / max) : 1
+  };
+}
+
+/**
+ * Grid squares a creature can move in one turn
+ *
+ * @param {number} speedBonus - Move speed bonus in percent
+ * @param {number} mobilityFactor - Mobility factor (see getBodyMobility)
+ * @returns {number} Squares, never below minimumMoveSquares
+ *
+ * @example
+ * calculateMoveSquares(0, 1);     // 6
+ * calculateMoveSquares(100, 0.5); // 6 (sprinting without Feet)
+ */
+export function calculateMoveSquares(speedBonus, mobilityFactor) {
+  const squares = Math.floor(CAVESOFQUD.baseValues.moveSquares * (100 + speedBonus) / 100 * mobilityFactor);
+  return Math.max(CAVESOFQUD.baseValues.minimumMoveSquares, squares);
+}
+
+/**
+ * Find an actor's combatant in a started combat
+ *
+ * @param {Actor} actor - Actor
+ * @returns {Combatant|null}
+ */
+export function getActorCombatant(actor) {
+  const combat = actor.getActiveCombat?.();
+  return combat?.combatants.find(combatant => combatant.actor === actor) ?? null;
+}
+
+/**
+ * A combatant's movement this turn
+ *
+ * @param {Combatant} combatant - Combatant
+ * @returns {Object} { squares, spent, remaining, sprinting }
+ */
+export function getMovementBudget(combatant) {
+  const movement = combatant.actor?.system.movement;
+  const state = combatant.getFlag('cavesofqud', 'movement') ?? {};
+  const squares = (state.sprinting ? movement?.sprintSquares : movement?.squares) ?? 0;
+  const spent = state.spent || 0;
+
+  return {
+    squares: squares,
+    spent: spent,
+    remaining: Math.max(0, squares - spent),
+    sprinting: !!state.sprinting
+  };
+}
+
+/**
+ * Sprint: raise this turn's movement to the actor's sprint speed
+ *
+ * @async
+ * @param {Actor} actor - Actor
+ * @returns {Promise<Object>} The new budget (see getMovementBudget)
+ * @throws {Error} Outside combat, if already sprinting, or if the actor cannot act or move
+ */
+export async function sprint(actor) {
+  const combatant = getActorCombatant(actor);
+  if (!combatant) {
+    throw new Error(`${actor.name} can only sprint in combat`);
+  }
+  assertCanAct(actor);
+
+  const movement = actor.system.movement;
+  if (!actor.system.combat.canMove) {
+    throw new Error(`${actor.name} is ${actor.system.combat.moveBlockedBy.toLowerCase()} and cannot move`);
+  }
+
+  const budget = getMovementBudget(combatant);
+  if (budget.sprinting) {
+    throw new Error(`${actor.name} is already sprinting this turn`);
+  }
+
+  await combatant.setFlag('cavesofqud', 'movement', { spent: budget.spent, sprinting: true });
+
+  const wings = movement.wingsSprintBonus && !movement.flying ? `, Wings +${movement.wingsSprintBonus}%` : '';
+  await ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content: `<div class="qud-sprint-message"><strong>${actor.name}</strong> sprints ` +
+      `(move speed +${movement.sprintBonus}%${wings}): ${movement.sprintSquares} squares this turn.</div>`
+  });
+
+  return getMovementBudget(combatant);
+}
+
+/**
+ * Count the grid squares between two token positions
+ *
+ * @param {Object} from - { x, y } in pixels
+ * @param {Object} to - { x, y } in pixels
+ * @returns {number} Squares
+ */
+export function measureMoveSquares(from, to) {
+  // v12+
+  if (canvas.grid.measurePath) return canvas.grid.measurePath([from, to]).spaces;
+
+  const distance = canvas.grid.measureDistances([{ ray: new Ray(from, to) }], { gridSpaces: true })[0];
+  return Math.round(distance / canvas.scene.grid.distance);
+}
+
+/**
+ * Register movement hooks
+ * Called once from the init hook
+ */
+export function registerMovementHooks() {
+  Hooks.on('preUpdateToken', onPreUpdateToken);
+  Hooks.on('updateToken', onUpdateToken);
+  Hooks.on('updateCombat', onUpdateCombat);
+  Hooks.on('updateCombatant', onUpdateCombatant);
+  Hooks.on('renderTokenHUD', onRenderTokenHUD);
+}
+
+/**
+ * Check a token move against its combatant's budget
+ * Warns, or cancels the move when the setting is "block" (not for the GM).
+ * On the combatant's own turn the squares moved ride along in the update
+ * options for onUpdateToken.
+ *
+ * @param {TokenDocument} token - Token being moved
+ * @param {Object} changes - Pending changes
+ * @param {Object} options - Update options
+ * @returns {boolean|void} false to cancel the move
+ */
+function onPreUpdateToken(token, changes, options) {
+  if (!('x' in changes) && !('y' in changes)) return;
+
+  const mode = game.settings.get('cavesofqud', 'movementBudget');
+  const actor = token.actor;
+  if (mode === 'off' || !actor?.system.movement || !canvas.ready) return;
+
+  const combatant = getTokenCombatant(token);
+  if (!combatant) return;
+
+  const squares = measureMoveSquares(
+    { x: token.x, y: token.y },
+    { x: changes.x ?? token.x, y: changes.y ?? token.y }
+  );
+  if (squares <= 0) return;
+
+  const budget = getMovementBudget(combatant);
+  const ownTurn = isCombatantTurn(combatant);
+  let problem = null;
+  if (!actor.system.combat.canMove) {
+    problem = `${actor.name} is ${actor.system.combat.moveBlockedBy.toLowerCase()} and cannot move`;
+  } else if (ownTurn && squares > budget.remaining) {
+    problem = `${actor.name} moves ${squares} squares but has ${budget.remaining} of ${budget.squares} left this turn`;
+  }
+
+  if (problem) {
+    const block = mode === 'block' && !game.user.isGM;
+    ui.notifications.warn(block ? `${problem}. Move cancelled.` : problem);
+    if (block) return false;
+  }
+
+  if (ownTurn) foundry.utils.setProperty(options, 'cavesofqud.moveSquares', squares);
+}
+
+/**
+ * Record the squares moved on the combatant
+ * Only the client that made the move records it.
+ *
+ * @param {TokenDocument} token - Moved token
+ * @param {Object} changes - Applied changes
+ * @param {Object} options - Update options
+ * @param {string} userId - User who moved the token
+ */
+async function onUpdateToken(token, changes, options, userId) {
+  const squares = options.cavesofqud?.moveSquares;
+  if (!squares || userId !== game.user.id) return;
+
+  const combatant = getTokenCombatant(token);
+  if (!combatant || !isCombatantTurn(combatant)) return;
+
+  const budget = getMovementBudget(combatant);
+  await combatant.setFlag('cavesofqud', 'movement', { spent: budget.spent + squares, sprinting: budget.sprinting });
+}
+
+/**
+ * Reset the budget of the combatant whose turn starts
+ * Only the GM client resets, and stepping back through turns does not
+ *
+ * @param {Combat} combat - Updated combat
+ * @param {Object} changed - Changed data
+ * @param {Object} options - Update options
+ */
+async function onUpdateCombat(combat, changed, options) {
+  if (!game.user.isGM) return;
+  if (!('turn' in changed) && !('round' in changed)) return;
+  if (options.direction < 0) return;
+
+  const combatant = combat.combatant;
+  if (!combatant?.getFlag('cavesofqud', 'movement')) return;
+
+  await combatant.setFlag('cavesofqud', 'movement', { spent: 0, sprinting: false });
+}
+
+/**
+ * Refresh an open actor sheet when its movement budget changes
+ *
+ * @param {Combatant} combatant - Updated combatant
+ * @param {Object} changed - Changed data
+ */
+function onUpdateCombatant(combatant, changed) {
+  if (!foundry.utils.hasProperty(changed, 'flags.cavesofqud.movement')) return;
+  if (combatant.actor?.sheet?.rendered) combatant.actor.sheet.render(false);
+}
+
+/**
+ * Add a sprint button to the token HUD during combat, showing the squares left
+ *
+ * @param {TokenHUD} hud - Token HUD
+ * @param {jQuery|HTMLElement} html - Rendered HUD (HTMLElement from v13)
+ */
+function onRenderTokenHUD(hud, html) {
+  const actor = hud.object?.actor;
+  if (!actor?.isOwner || !actor.system.movement) return;
+
+  const combatant = getTokenCombatant(hud.object.document);
+  if (!combatant) return;
+
+  const root = html instanceof HTMLElement ? html : html[0];
+  const column = root.querySelector('.col.left');
+  if (!column) return;
+
+  const budget = getMovementBudget(combatant);
+  const button = document.createElement('div');
+  button.classList.add('control-icon', 'qud-sprint');
+  if (budget.sprinting) button.classList.add('active');
+  button.title = budget.sprinting
+    ? `Sprinting: ${budget.remaining} of ${budget.squares} squares left`
+    : `Sprint (${budget.remaining} of ${budget.squares} squares left)`;
+  button.innerHTML = '<i class="fas fa-running"></i>';
+
+  button.addEventListener('click', async event => {
+    event.preventDefault();
+    if (budget.sprinting) return;
+
+    try {
+      await sprint(actor);
+      hud.render();
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  });
+
+  column.appendChild(button);
+}
+
+/**
+ * Whether it is a combatant's turn in its combat
+ *
+ * @param {Combatant} combatant - Combatant
+ * @returns {boolean}
+ */
+function isCombatantTurn(combatant) {
+  return combatant.combat?.combatant?.id === combatant.id;
+}
+
+/**
+ * Find a token's combatant in a started combat
+ *
+ * @param {TokenDocument} token - Token
+ * @returns {Combatant|null}
+ */
+function getTokenCombatant(token) {
+  for (let combat of game.combats ?? []) {
+    if (!combat.started) continue;
+    const combatant = combat.getCombatantByToken(token.id);
+    if (combatant) return combatant;
+  }
+  return null;
+}
@@ -0,0 +1,271 @@
+/**
+ * Mutation Points
+ *
+ * Mutants earn Mutation Points (MP) as they level (True Kin earn none) and
+ * spend them two ways:
+ * - raise a mutation one level, up to the cap set by character level
+ *   (half the character level + 1, never above 10)
+ * - buy a new mutation from a random choice of three drawn from the
+ *   mutation compendiums. The choice is kept on the actor until one is
+ *   bought, so reopening it does not reroll it.
+ *
+ * Every raise and purchase is recorded in the advancement history with the
+ * level-ups (system.advancement.history) and can be undone, most recent
+ * first (see advancement.mjs).
+ * Source: https://wiki.cavesofqud.com/wiki/Mutations
+ */
+
+import { CAVESOFQUD } from './config.mjs';
+import { withSeed, getActionSeed, randomInt } from './random.mjs';
+
+/**
+ * Highest level a mutation can be raised to at a character level
+ *
+ * @param {number} characterLevel - Character level
+ * @returns {number} Level cap
+ *
+ * @example
+ * getMutationLevelCap(1);  // 1
+ * getMutationLevelCap(7);  // 4
+ * getMutationLevelCap(30); // 10
+ */
+export function getMutationLevelCap(characterLevel) {
+  const { levelCapDivisor, maxLevel } = CAVESOFQUD.mutationPoints;
+  return Math.min(maxLevel, Math.floor(characterLevel / levelCapDivisor) + 1);
+}
+
+/**
+ * Mutation Points an actor earns for gaining a level
+ *
+ * @param {Actor} actor - Actor
+ * @returns {number} MP (0 for True Kin)
+ */
+export function getLevelMutationPoints(actor) {
+  return actor.system.characterType === 'TrueKin' ? 0 : CAVESOFQUD.mutationPoints.perLevel;
+}
+
+/**
+ * Why a mutation cannot be raised, if it cannot
+ *
+ * @param {Actor} actor - Owning actor
+ * @param {Item} item - Mutation
+ * @returns {string|null} Reason, or null if it can be raised
+ */
+export function getRaiseBlocker(actor, item) {
+  const cost = CAVESOFQUD.mutationPoints.raiseCost;
+  const cap = getMutationLevelCap(actor.system.level.value);
+
+  if (item?.type !== 'mutation') return "Only mutations can be raised";
+  if (item.system.level >= cap) {
+    return `${item.name} is at level ${item.system.level}, the most a level ${actor.system.level.value} character can reach`;
+  }
+  if (_available(actor) < cost) return `Raising ${item.name} costs ${cost} MP`;
+  return null;
+}
+
+/**
+ * Spend MP to raise a mutation one level
+ *
+ * @async
+ * @param {Actor} actor - Owning actor
+ * @param {string} itemId - Mutation item ID
+ * @returns {Promise<Object>} History entry { type: "raise", itemId, name, from, to, cost }
+ * @throws {Error} If the mutation is at its cap or there is not enough MP
+ */
+export async function raiseMutation(actor, itemId) {
+  const item = actor.items.get(itemId);
+  const blocker = getRaiseBlocker(actor, item);
+  if (blocker) throw new Error(blocker);
+
+  const cost = CAVESOFQUD.mutationPoints.raiseCost;
+  const entry = {
+    type: 'raise',
+    itemId: item.id,
+    name: item.name,
+    from: item.system.level,
+    to: item.system.level + 1,
+    cost: cost
+  };
+
+  await _setMutationLevel(actor, item, entry.to);
+  await _spend(actor, cost, entry);
+
+  return entry;
+}
+
+/**
+ * The current choice of mutations to buy, drawing one if there is none
+ * Mutations the actor already has are left out.
+ *
+ * @async
+ * @param {Actor} actor - Actor
+ * @param {Object} options - Options
+ * @param {number} options.seed - RNG seed for a new draw
+ * @returns {Promise<Array<Object>>} [{ uuid, name, img, mutationType }]
+ * @throws {Error} For True Kin, or if no mutations are left to draw
+ */
+export async function getMutationChoices(actor, { seed = getActionSeed() } = {}) {
+  if (actor.system.characterType === 'TrueKin') {
+    throw new Error("True Kin cannot gain mutations");
+  }
+
+  const offer = actor.system.mutationPoints.offer ?? [];
+  if (offer.length > 0) return offer;
+
+  const owned = new Set(actor.items.filter(item => item.type === 'mutation').map(item => item.name));
+  const pool = [];
+  for (let id of CAVESOFQUD.mutationPoints.packs) {
+    const pack = game.packs.get(id);
+    if (!pack) continue;
+
+    const index = await pack.getIndex({ fields: ['system.mutationType'] });
+    for (let entry of index) {
+      if (owned.has(entry.name)) continue;
+      pool.push({
+        uuid: entry.uuid ?? `Compendium.${id}.${entry._id}`,
+        name: entry.name,
+        img: entry.img,
+        mutationType: entry.system?.mutationType ?? 'physical'
+      });
+    }
+  }
+
+  if (pool.length === 0) {
+    throw new Error(`There are no mutations left for ${actor.name} to gain`);
+  }
+
+  const choices = await withSeed(seed, async () => {
+    const drawn = [];
+    while (drawn.length < CAVESOFQUD.mutationPoints.buyChoices && pool.length > 0) {
+      drawn.push(...pool.splice(randomInt(pool.length), 1));
+    }
+    return drawn;
+  });
+
+  await actor.update({ 'system.mutationPoints.offer': choices });
+  return choices;
+}
+
+/**
+ * Spend MP on one of the offered mutations
+ *
+ * @async
+ * @param {Actor} actor - Actor
+ * @param {string} uuid - Compendium UUID of the chosen mutation (see getMutationChoices)
+ * @returns {Promise<Item>} The new mutation
+ * @throws {Error} If it was not offered, or there is not enough MP
+ */
+export async function buyMutation(actor, uuid) {
+  const cost = CAVESOFQUD.mutationPoints.buyCost;
+  const offer = actor.system.mutationPoints.offer ?? [];
+  if (!offer.some(choice => choice.uuid === uuid)) {
+    throw new Error("That mutation is not on offer");
+  }
+  if (_available(actor) < cost) {
+    throw new Error(`A new mutation costs ${cost} MP`);
+  }
+
+  const source = await fromUuid(uuid);
+  if (!source) {
+    throw new Error("That mutation is no longer in its compendium");
+  }
+
+  const data = source.toObject();
+  data.system.level = 1;
+  const [item] = await actor.createEmbeddedDocuments('Item', [data]);
+
+  await _spend(actor, cost, {
+    type: 'buy',
+    itemId: item.id,
+    name: item.name,
+    uuid: uuid,
+    offer: offer,
+    cost: cost
+  }, { 'system.mutationPoints.offer': [] });
+
+  return item;
+}
+
+/**
+ * Work out the updates that undo a raise or purchase
+ * A raised mutation drops back a level; a bought one is deleted and its
+ * choice offered again. Mutations applied to the body go through the same
+ * remove and apply steps as the item sheet, so their parts and natural
+ * weapons follow. The MP are refunded.
+ *
+ * @async
+ * @param {Actor} actor - Actor
+ * @param {Object} entry - History entry of type "raise" or "buy"
+ * @returns {Promise<Object>} Actor updates to make
+ */
+export async function undoMutationPointEntry(actor, entry) {
+  const points = actor.system.mutationPoints;
+  const updates = {
+    'system.mutationPoints.available': _available(actor) + entry.cost,
+    'system.mutationPoints.spent': Math.max(0, (points.spent || 0) - entry.cost)
+  };
+
+  const item = actor.items.get(entry.itemId);
+  if (entry.type === 'raise') {
+    if (item) await _setMutationLevel(actor, item, entry.from);
+  } else {
+    if (item?.system.isActive) await actor.removeMutation(item);
+    await item?.delete();
+    updates['system.mutationPoints.offer'] = entry.offer ?? [];
+  }
+
+  return updates;
+}
+
+/**
+ * Change a mutation's level
+ * An applied mutation is removed and applied again, as from the item sheet,
+ * so level-based natural weapons match the new level. Random (Chimera)
+ * growth is left as it is rather than regrown.
+ *
+ * @private
+ * @async
+ * @param {Actor} actor - Actor
+ * @param {Item} item - Mutation item
+ * @param {number} level - New level
+ */
+async function _setMutationLevel(actor, item, level) {
+  await item.update({ 'system.level': level });
+
+  const modifications = item.system.bodyModifications ?? [];
+  const random = modifications.some(mod => mod.parent === 'random' || mod.type === 'random');
+  if (!item.system.isActive || modifications.length === 0 || random) return;
+
+  await actor.removeMutation(item);
+  await actor.applyMutation(item);
+}
+
+/**
+ * MP the actor has to spend
+ *
+ * @private
+ * @param {Actor} actor - Actor
+ * @returns {number}
+ */
+function _available(actor) {
+  return actor.system.mutationPoints.available || 0;
+}
+
+/**
+ * Deduct MP and record what it was spent on
+ *
+ * @private
+ * @async
+ * @param {Actor} actor - Actor
+ * @param {number} cost - MP spent
+ * @param {Object} entry - History entry
+ * @param {Object} updates - Further actor updates to make at the same time
+ */
+async function _spend(actor, cost, entry, updates = {}) {
+  await actor.update({
+    'system.mutationPoints.available': _available(actor) - cost,
+    'system.mutationPoints.spent': (actor.system.mutationPoints.spent || 0) + cost,
+    'system.advancement.history': [...(actor.system.advancement.history ?? []), entry],
+    ...updates
+  });
+}
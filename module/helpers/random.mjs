@@ -0,0 +1,133 @@
+/**
+ * Seedable Random Source
+ *
+ * All system randomness goes through this module so that combat and
+ * mutation growth can be replayed from a seed:
+ * - Foundry dice (Roll.evaluate) draw from CONFIG.Dice.randomUniform, which
+ *   is pointed at a seeded MersenneTwister inside withSeed()
+ * - Non-dice randomness (Chimera part selection) calls random() directly
+ *
+ * Outside a seeded block, random() simply defers to Foundry's own generator.
+ */
+
+const Twister = foundry.dice?.MersenneTwister ?? globalThis.MersenneTwister;
+
+/**
+ * Generator for the seeded block currently running (null when unseeded)
+ */
+let activeTwister = null;
+
+/**
+ * Tail of the queue of randomness blocks (see withSeed)
+ */
+let queue = Promise.resolve();
+
+/**
+ * Get a random number in [0, 1)
+ * @returns {number}
+ */
+export function random() {
+  return activeTwister ? activeTwister.random() : CONFIG.Dice.randomUniform();
+}
+
+/**
+ * Get a random integer in [0, max)
+ * @param {number} max - Exclusive upper bound
+ * @returns {number}
+ */
+export function randomInt(max) {
+  return Math.floor(random() * max);
+}
+
+/**
+ * Generate a fresh seed for an action
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Get the world's fixed seed, if deterministic mode is configured
+ * @returns {number|null} Fixed seed or null for normal play
+ */
+export function getConfiguredSeed() {
+  const setting = String(game.settings.get('cavesofqud', 'rngSeed') ?? '').trim();
+  if (!setting) return null;
+
+  const seed = Number.parseInt(setting, 10);
+  return Number.isFinite(seed) ? seed >>> 0 : null;
+}
+
+/**
+ * Get the seed a new action should use
+ * The world's fixed seed if one is configured, otherwise a fresh one
+ *
+ * @returns {number}
+ */
+export function getActionSeed() {
+  return getConfiguredSeed() ?? generateSeed();
+}
+
+/**
+ * Run an async function with all randomness drawn from a seeded generator
+ *
+ * Seeded blocks run one at a time: a call made while another block is
+ * running waits for it, so every block draws only from its own seed and the
+ * seed it was given always replays it. fn must not await withSeed itself
+ * (it would wait for its own block to finish).
+ *
+ * Foundry dice read CONFIG.Dice.randomUniform, which stays pointed at the
+ * seed for the whole block, so fn should only roll: document updates and
+ * chat messages belong after the block, where waiting on the server cannot
+ * let a player's /roll or another module's roll draw from the seed. Rolls
+ * the system makes from hooks (condition ticks, falls) go through
+ * withoutSeed to wait their turn instead of drawing from a seeded stream.
+ *
+ * @async
+ * @param {number} seed - Seed for the generator
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Whatever fn returns
+ *
+ * @example
+ * const handResult = await withSeed(12345, () => executeHandAttack(weapon, attacker, target, bodyPartId));
+ */
+export async function withSeed(seed, fn) {
+  return _enqueue(async () => {
+    const previousUniform = CONFIG.Dice.randomUniform;
+    activeTwister = new Twister(seed);
+    CONFIG.Dice.randomUniform = () => activeTwister.random();
+
+    try {
+      return await fn();
+    } finally {
+      activeTwister = null;
+      CONFIG.Dice.randomUniform = previousUniform;
+    }
+  });
+}
+
+/**
+ * Run an async function with Foundry's own generator, after any seeded
+ * block in progress
+ *
+ * @async
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Whatever fn returns
+ */
+export async function withoutSeed(fn) {
+  return _enqueue(fn);
+}
+
+/**
+ * Queue a task behind the blocks already waiting
+ *
+ * @private
+ * @param {Function} task - Async function
+ * @returns {Promise<*>} Whatever task returns
+ */
+function _enqueue(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
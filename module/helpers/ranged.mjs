@@ -0,0 +1,208 @@
+/**
+ * Missile and Thrown Weapons
+ *
+ * - Distance between attacker and target tokens, in grid squares
+ * - Range bands (CAVESOFQUD.rangeBands) relative to the weapon's range
+ * - Ammunition: magazines loaded from ammunition items, bows and slings
+ *   drawing straight from the ammunition stack, thrown weapons using
+ *   their own quantity
+ * - Reloading a magazine from carried ammunition
+ */
+
+import { CAVESOFQUD } from './config.mjs';
+
+/**
+ * Whether a weapon attacks at range (missile or thrown)
+ *
+ * @param {Item|Object} weapon - Weapon item or virtual natural weapon
+ * @returns {boolean}
+ */
+export function isRangedWeapon(weapon) {
+  const type = weapon?.system?.weaponType;
+  return type === 'ranged' || type === 'thrown';
+}
+
+/**
+ * Measure the distance between two actors' tokens on the current scene
+ *
+ * @param {Actor} attacker - Attacking actor
+ * @param {Actor} target - Target actor
+ * @returns {number|null} Distance in grid squares, or null if either token is not on the canvas
+ */
+export function measureTokenDistance(attacker, target) {
+  if (!canvas?.ready) return null;
+
+  const from = attacker.token?.object ?? attacker.getActiveTokens()[0];
+  const to = target.token?.object ?? target.getActiveTokens()[0];
+  if (!from || !to) return null;
+
+  // v12+ measurePath, v11 measureDistance
+  const distance = canvas.grid.measurePath ?
+    canvas.grid.measurePath([from.center, to.center]).distance :
+    canvas.grid.measureDistance(from.center, to.center, { gridSpaces: true });
+
+  return Math.round(distance / canvas.scene.grid.distance);
+}
+
+/**
+ * Find the range band for a shot at a given distance
+ *
+ * @param {Item} weapon - Missile or thrown weapon
+ * @param {number|null} distance - Distance in squares (null if unmeasured)
+ * @returns {Object|null} { key, label, penalty, distance, maxRange } or null if out of range
+ *
+ * @example
+ * // Bow with range 8
+ * getRangeBand(bow, 5);  // { key: "short", label: "Short", penalty: 0, ... }
+ * getRangeBand(bow, 12); // { key: "medium", label: "Medium", penalty: -2, ... }
+ * getRangeBand(bow, 30); // null (beyond 3 × 8)
+ */
+export function getRangeBand(weapon, distance) {
+  const range = Math.max(1, weapon.system.range || 0);
+  const bands = CAVESOFQUD.rangeBands;
+  const maxRange = range * bands[bands.length - 1].maxMultiple;
+
+  // Tokens not on the canvas: assume the GM placed the target in short range
+  if (distance === null || distance === undefined) {
+    return { ...bands[0], distance: null, maxRange };
+  }
+
+  const band = bands.find(b => distance <= range * b.maxMultiple);
+  return band ? { ...band, distance, maxRange } : null;
+}
+
+/**
+ * Describe where a weapon's shots come from
+ *
+ * @param {Actor} actor - Owning actor
+ * @param {Item} weapon - Missile or thrown weapon
+ * @returns {Object} { mode: "magazine"|"ammo"|"thrown"|"none", remaining, ammoItems }
+ */
+export function getAmmoStatus(actor, weapon) {
+  const system = weapon.system;
+
+  if (system.weaponType === 'thrown') {
+    return { mode: 'thrown', remaining: system.quantity ?? 1, ammoItems: [] };
+  }
+
+  const ammoItems = findAmmunition(actor, system.ammoType);
+
+  if (system.magazine?.size > 0) {
+    return { mode: 'magazine', remaining: system.magazine.loaded || 0, ammoItems };
+  }
+
+  if (system.ammoType) {
+    const remaining = ammoItems.reduce((sum, item) => sum + (item.system.quantity || 0), 0);
+    return { mode: 'ammo', remaining, ammoItems };
+  }
+
+  return { mode: 'none', remaining: Infinity, ammoItems: [] };
+}
+
+/**
+ * Find ammunition items matching an ammo type, fullest stack first
+ *
+ * @param {Actor} actor - Owning actor
+ * @param {string} ammoType - Ammo type (e.g. "arrow")
+ * @returns {Array<Item>} Matching ammunition items with quantity left
+ */
+export function findAmmunition(actor, ammoType) {
+  if (!ammoType) return [];
+
+  return actor.items
+    .filter(item => item.type === 'ammunition' && item.system.ammoType === ammoType && item.system.quantity > 0)
+    .sort((a, b) => b.system.quantity - a.system.quantity);
+}
+
+/**
+ * Spend one shot from a weapon
+ *
+ * @async
+ * @param {Actor} actor - Owning actor
+ * @param {Item} weapon - Missile or thrown weapon
+ * @param {string} bodyPartId - Body part holding the weapon (thrown weapons leave it)
+ * @returns {Promise<Object>} { mode, remaining } after the shot
+ * @throws {Error} If the weapon is empty
+ */
+export async function consumeAmmo(actor, weapon, bodyPartId) {
+  const status = getAmmoStatus(actor, weapon);
+
+  if (status.remaining < 1) {
+    if (status.mode === 'magazine') throw new Error(`${weapon.name} is empty - reload it first`);
+    if (status.mode === 'ammo') throw new Error(`No ${weapon.system.ammoType} ammunition left for ${weapon.name}`);
+    throw new Error(`No ${weapon.name} left to throw`);
+  }
+
+  switch (status.mode) {
+    case 'magazine':
+      await weapon.update({ 'system.magazine.loaded': status.remaining - 1 });
+      break;
+
+    case 'ammo': {
+      const stack = status.ammoItems[0];
+      await stack.update({ 'system.quantity': stack.system.quantity - 1 });
+      break;
+    }
+
+    case 'thrown':
+      await weapon.update({ 'system.quantity': status.remaining - 1 });
+      // Throwing the last one empties the hand
+      if (status.remaining === 1) {
+        await actor.unequipFromBodyPart(bodyPartId);
+      }
+      break;
+
+    default:
+      return { mode: status.mode, remaining: null };
+  }
+
+  return { mode: status.mode, remaining: status.remaining - 1 };
+}
+
+/**
+ * Reload a weapon's magazine from carried ammunition
+ * Reloading takes the actor's action for the round.
+ *
+ * @async
+ * @param {Actor} actor - Owning actor
+ * @param {Item} weapon - Weapon with a magazine
+ * @returns {Promise<number>} Rounds loaded
+ * @throws {Error} If the weapon has no magazine, is already full or there is no ammunition
+ */
+export async function reloadWeapon(actor, weapon) {
+  const magazine = weapon.system.magazine;
+  if (!(magazine?.size > 0)) {
+    throw new Error(`${weapon.name} does not use a magazine`);
+  }
+
+  let needed = magazine.size - (magazine.loaded || 0);
+  if (needed <= 0) {
+    throw new Error(`${weapon.name} is already fully loaded`);
+  }
+
+  const ammoItems = findAmmunition(actor, weapon.system.ammoType);
+  if (weapon.system.ammoType && ammoItems.length === 0) {
+    throw new Error(`No ${weapon.system.ammoType} ammunition to reload ${weapon.name}`);
+  }
+
+  // Weapons without an ammo type (e.g. energy cells not tracked) simply refill
+  let loaded = weapon.system.ammoType ? 0 : needed;
+
+  for (let stack of ammoItems) {
+    if (needed <= 0) break;
+    const taken = Math.min(needed, stack.system.quantity);
+    await stack.update({ 'system.quantity': stack.system.quantity - taken });
+    loaded += taken;
+    needed -= taken;
+  }
+
+  await weapon.update({ 'system.magazine.loaded': (magazine.loaded || 0) + loaded });
+
+  await ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content: `<div class="qud-reload-message">${actor.name} reloads ${weapon.name} (${loaded} round${loaded === 1 ? '' : 's'}, ${(magazine.loaded || 0) + loaded}/${magazine.size}).</div>`
+  });
+
+  return loaded;
+}
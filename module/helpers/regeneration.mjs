@@ -0,0 +1,146 @@
+/**
+ * Regeneration
+ *
+ * - HP regenerates at hpRegen.rate per turn: once at the start of each of the
+ *   creature's turns in combat, and for every CONFIG.time.roundTime seconds of
+ *   world time outside combat. Fractions of a hit point accumulate.
+ * - Damage pauses HP regeneration for regenInterruptTurns (see actor.applyDamage).
+ * - Timed limb regrowth completes as world time passes.
+ * - Resting (actor.restUntilHealed) advances world time, so it is up to the
+ *   GM: a player's rest posts a request that the GM approves from chat.
+ *
+ * Only the GM client processes regeneration, so each tick happens once.
+ */
+
+/**
+ * Register regeneration hooks
+ * Called once from the init hook
+ */
+export function registerRegenerationHooks() {
+  Hooks.on('updateWorldTime', onUpdateWorldTime);
+  Hooks.on('updateCombat', onUpdateCombat);
+  Hooks.on('renderChatMessage', onRenderChatMessage);
+}
+
+/**
+ * Ask the GM to let an actor rest
+ * Posts a message whispered to the GMs with a button to approve it.
+ *
+ * @async
+ * @param {Actor} actor - Actor wanting to rest
+ * @returns {Promise<ChatMessage>}
+ */
+export async function requestRest(actor) {
+  return ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor }),
+    whisper: game.users.filter(user => user.isGM).map(user => user.id),
+    content: `<div class="qud-rest-request">${actor.name} wants to rest until healed.` +
+      `<div class="card-buttons"><button type="button" data-action="approve-rest"><i class="fas fa-bed"></i> Rest</button></div></div>`,
+    flags: { cavesofqud: { restRequest: { actorUuid: actor.uuid } } }
+  });
+}
+
+/**
+ * Wire up the Rest button on rest requests (GM only)
+ *
+ * @param {ChatMessage} message - Rendered message
+ * @param {jQuery} html - Message HTML
+ */
+function onRenderChatMessage(message, html) {
+  const request = message.getFlag('cavesofqud', 'restRequest');
+  if (!request) return;
+
+  const buttons = html.find('.qud-rest-request .card-buttons');
+  if (!game.user.isGM || request.resolved) {
+    buttons.remove();
+    return;
+  }
+
+  buttons.find('button[data-action="approve-rest"]').click(async event => {
+    event.preventDefault();
+    event.currentTarget.disabled = true;
+
+    try {
+      const actor = await fromUuid(request.actorUuid);
+      if (!actor) throw new Error("That actor no longer exists");
+      await actor.restUntilHealed();
+      await message.update({ 'flags.cavesofqud.restRequest.resolved': true });
+    } catch (error) {
+      ui.notifications.warn(error.message);
+      event.currentTarget.disabled = false;
+    }
+  });
+}
+
+/**
+ * Regenerate out-of-combat HP and finish due limb regrowth as world time passes
+ * Actors in a started combat regenerate per turn instead.
+ *
+ * @param {number} worldTime - New world time
+ * @param {number} delta - Seconds advanced
+ */
+async function onUpdateWorldTime(worldTime, delta) {
+  if (!game.user.isGM) return;
+
+  for (let actor of getWorldActors()) {
+    await actor.processLimbRegrowth?.(worldTime);
+
+    if (delta > 0 && actor.regenerateHP && !actor.getActiveCombat()) {
+      await regenerateOverTime(actor, worldTime, delta);
+    }
+  }
+}
+
+/**
+ * Regenerate HP for the new combatant when the turn advances
+ * Stepping back through turns does not regenerate.
+ *
+ * @param {Combat} combat - Updated combat
+ * @param {Object} changed - Changed data
+ * @param {Object} options - Update options
+ */
+async function onUpdateCombat(combat, changed, options) {
+  if (!game.user.isGM) return;
+  if (!('turn' in changed) && !('round' in changed)) return;
+  if (options.direction < 0) return;
+
+  const actor = combat.combatant?.actor;
+  if (!actor?.regenerateHP) return;
+
+  if (!actor.getRegenerationPause({ combat })) {
+    await actor.regenerateHP(1);
+  }
+}
+
+/**
+ * Regenerate HP for the turns in a stretch of world time
+ * Only time after the damage interruption ends counts.
+ *
+ * @async
+ * @param {Actor} actor - Actor
+ * @param {number} worldTime - New world time
+ * @param {number} delta - Seconds advanced
+ * @returns {Promise<number>} HP regained
+ */
+export async function regenerateOverTime(actor, worldTime, delta) {
+  if (actor.getRegenerationPause({ combat: null, worldTime })) return 0;
+
+  const start = Math.max(worldTime - delta, actor.system.hpRegen.interruptedUntilTime || 0);
+  const turns = (worldTime - start) / CONFIG.time.roundTime;
+
+  return actor.regenerateHP(turns);
+}
+
+/**
+ * Actors that live through world time: world actors plus unlinked tokens on the active scene
+ *
+ * @returns {Array<Actor>}
+ */
+export function getWorldActors() {
+  const tokenActors = (game.scenes.active?.tokens ?? [])
+    .filter(token => !token.actorLink && token.actor)
+    .map(token => token.actor);
+
+  return [...game.actors, ...tokenActors];
+}
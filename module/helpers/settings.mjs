@@ -0,0 +1,68 @@
+/**
+ * System Settings
+ * World and client settings for the Caves of Qud system
+ */
+
+/**
+ * Register all system settings
+ * Called once from the init hook
+ */
+export function registerSystemSettings() {
+  // Fixed seed for deterministic combat and mutation growth (testing / replays)
+  game.settings.register('cavesofqud', 'rngSeed', {
+    name: 'CAVESOFQUD.Settings.RngSeed.Name',
+    hint: 'CAVESOFQUD.Settings.RngSeed.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: ''
+  });
+
+  // Whether attacks change HP immediately or wait for the chat card's Apply buttons
+  game.settings.register('cavesofqud', 'damageApplication', {
+    name: 'CAVESOFQUD.Settings.DamageApplication.Name',
+    hint: 'CAVESOFQUD.Settings.DamageApplication.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      automatic: 'CAVESOFQUD.Settings.DamageApplication.Automatic',
+      manual: 'CAVESOFQUD.Settings.DamageApplication.Manual'
+    },
+    default: 'automatic'
+  });
+
+  // Energy (Qud's Quickness model, fast creatures take extra turns) or one d20 turn per round
+  // Tabletop by default, so worlds keep their turn structure until the GM opts in
+  game.settings.register('cavesofqud', 'initiativeMode', {
+    name: 'CAVESOFQUD.Settings.InitiativeMode.Name',
+    hint: 'CAVESOFQUD.Settings.InitiativeMode.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      energy: 'CAVESOFQUD.Settings.InitiativeMode.Energy',
+      tabletop: 'CAVESOFQUD.Settings.InitiativeMode.Tabletop'
+    },
+    default: 'tabletop',
+    onChange: () => {
+      for (let combat of game.combats ?? []) combat.setupTurns();
+      ui.combat?.render();
+    }
+  });
+
+  // What happens when a token is dragged past its movement for the turn in combat
+  game.settings.register('cavesofqud', 'movementBudget', {
+    name: 'CAVESOFQUD.Settings.MovementBudget.Name',
+    hint: 'CAVESOFQUD.Settings.MovementBudget.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      warn: 'CAVESOFQUD.Settings.MovementBudget.Warn',
+      block: 'CAVESOFQUD.Settings.MovementBudget.Block',
+      off: 'CAVESOFQUD.Settings.MovementBudget.Off'
+    },
+    default: 'warn'
+  });
+}
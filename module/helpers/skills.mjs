@@ -0,0 +1,187 @@
+/**
+ * Skill Trees
+ *
+ * Skills are bought with skill points, power by power, from the trees in
+ * CAVESOFQUD.skillTrees. A power needs the powers listed in its
+ * prerequisites (and any attribute minimums) first. Buying one creates a
+ * skill item recording its tree and power, deducts its cost from
+ * system.skillPoints and goes into the advancement history, so it can be
+ * undone like a level-up.
+ *
+ * Owned powers feed derived stats through system.skills: each tree's tier is
+ * the highest tier among its owned powers (Multiweapon Fighting tiers raise
+ * offhand attack chances, see actor._calculateOffhandChance).
+ * Source: https://wiki.cavesofqud.com/wiki/Skills
+ */
+
+import { CAVESOFQUD } from './config.mjs';
+
+/**
+ * Find the tree and power a skill item stands for
+ * Items bought from a tree record it; others are matched by name.
+ *
+ * @param {Item} item - Skill item
+ * @returns {Object|null} { tree, power, config } or null if it is not a tree power
+ */
+export function getSkillPower(item) {
+  if (item?.type !== 'skill') return null;
+
+  const { tree, power } = item.system;
+  const recorded = CAVESOFQUD.skillTrees[tree]?.powers[power];
+  if (recorded) return { tree: tree, power: power, config: recorded };
+
+  for (let [treeKey, treeConfig] of Object.entries(CAVESOFQUD.skillTrees)) {
+    for (let [powerKey, config] of Object.entries(treeConfig.powers)) {
+      if (config.label === item.name) return { tree: treeKey, power: powerKey, config: config };
+    }
+  }
+  return null;
+}
+
+/**
+ * Work out each tree's owned powers and tier
+ *
+ * @param {Iterable<Item>} items - Actor's items
+ * @returns {Object} { [tree]: { tier, powers: [powerKey, ...] } } for every tree
+ *
+ * @example
+ * // Owns Multiweapon Fighting and Multiweapon Expertise
+ * calculateSkills(actor.items); // { multiweaponFighting: { tier: 2, powers: ["multiweaponFighting", "multiweaponExpertise"] } }
+ */
+export function calculateSkills(items) {
+  const skills = {};
+  for (let tree of Object.keys(CAVESOFQUD.skillTrees)) {
+    skills[tree] = { tier: 0, powers: [] };
+  }
+
+  for (let item of items) {
+    const owned = getSkillPower(item);
+    if (!owned) continue;
+
+    const skill = skills[owned.tree];
+    skill.powers.push(owned.power);
+    skill.tier = Math.max(skill.tier, owned.config.tier || 0);
+  }
+
+  return skills;
+}
+
+/**
+ * Why an actor cannot buy a power, if it cannot
+ *
+ * @param {Actor} actor - Actor
+ * @param {string} tree - Tree key
+ * @param {string} power - Power key
+ * @returns {string|null} Reason, or null if it can be bought
+ */
+export function getPowerBlocker(actor, tree, power) {
+  const config = CAVESOFQUD.skillTrees[tree]?.powers[power];
+  if (!config) return `Unknown skill: ${tree}.${power}`;
+
+  const owned = actor.system.skills?.[tree]?.powers ?? [];
+  if (owned.includes(power)) return `${actor.name} already has ${config.label}`;
+
+  const missing = (config.prerequisites ?? [])
+    .filter(key => !owned.includes(key))
+    .map(key => CAVESOFQUD.skillTrees[tree].powers[key]?.label ?? key);
+  if (missing.length > 0) return `${config.label} requires ${missing.join(', ')}`;
+
+  for (let [key, minimum] of Object.entries(config.attributes ?? {})) {
+    if ((actor.system.attributes[key]?.value || 0) < minimum) {
+      return `${config.label} requires ${minimum} ${key.charAt(0).toUpperCase() + key.slice(1)}`;
+    }
+  }
+
+  if ((actor.system.skillPoints.available || 0) < config.cost) {
+    return `${config.label} costs ${config.cost} SP`;
+  }
+  return null;
+}
+
+/**
+ * Spend skill points on a power
+ *
+ * @async
+ * @param {Actor} actor - Actor
+ * @param {string} tree - Tree key
+ * @param {string} power - Power key
+ * @returns {Promise<Item>} The new skill item
+ * @throws {Error} If a prerequisite is missing or there is not enough SP
+ *
+ * @example
+ * await buySkillPower(actor, "multiweaponFighting", "multiweaponFighting");
+ */
+export async function buySkillPower(actor, tree, power) {
+  const blocker = getPowerBlocker(actor, tree, power);
+  if (blocker) throw new Error(blocker);
+
+  const config = CAVESOFQUD.skillTrees[tree].powers[power];
+  const [item] = await actor.createEmbeddedDocuments('Item', [{
+    name: config.label,
+    type: 'skill',
+    img: config.img ?? 'icons/svg/book.svg',
+    system: {
+      tree: tree,
+      power: power,
+      spCost: config.cost,
+      prerequisites: (config.prerequisites ?? []).map(key => CAVESOFQUD.skillTrees[tree].powers[key].label).join(', '),
+      effect: config.effect ?? ''
+    }
+  }]);
+
+  await actor.update({
+    'system.skillPoints.spent': (actor.system.skillPoints.spent || 0) + config.cost,
+    'system.advancement.history': [
+      ...(actor.system.advancement.history ?? []),
+      { type: 'skill', itemId: item.id, name: item.name, tree: tree, power: power, cost: config.cost }
+    ]
+  });
+
+  return item;
+}
+
+/**
+ * Work out the updates that undo a skill purchase
+ * The skill item is deleted and its SP refunded.
+ *
+ * @async
+ * @param {Actor} actor - Actor
+ * @param {Object} entry - History entry of type "skill"
+ * @returns {Promise<Object>} Actor updates to make
+ */
+export async function undoSkillEntry(actor, entry) {
+  await actor.items.get(entry.itemId)?.delete();
+  return {
+    'system.skillPoints.spent': Math.max(0, (actor.system.skillPoints.spent || 0) - entry.cost)
+  };
+}
+
+/**
+ * Lay out the skill trees for the sheet
+ *
+ * @param {Actor} actor - Actor
+ * @returns {Array<Object>} [{ key, label, tier, powers: [{ key, label, cost, effect, prerequisites, owned, blocker }] }]
+ */
+export function getSkillTreeView(actor) {
+  return Object.entries(CAVESOFQUD.skillTrees).map(([tree, treeConfig]) => {
+    const skill = actor.system.skills?.[tree] ?? { tier: 0, powers: [] };
+
+    return {
+      key: tree,
+      label: treeConfig.label,
+      tier: skill.tier,
+      powers: Object.entries(treeConfig.powers).map(([power, config]) => {
+        const owned = skill.powers.includes(power);
+        return {
+          key: power,
+          label: config.label,
+          cost: config.cost,
+          effect: config.effect ?? '',
+          prerequisites: (config.prerequisites ?? []).map(key => treeConfig.powers[key]?.label ?? key).join(', '),
+          owned: owned,
+          blocker: owned ? null : getPowerBlocker(actor, tree, power)
+        };
+      })
+    };
+  });
+}
@@ -0,0 +1,96 @@
+/**
+ * Stinger Venom
+ *
+ * Stinger natural weapons carry a venom (CAVESOFQUD.venoms). When a sting
+ * penetrates, the target rolls a Toughness save against a difficulty that
+ * scales with the Stinger's level; on a failure the venom's condition is
+ * added to the hand's hit effects, to be applied with the damage like any
+ * other on-hit condition.
+ */
+
+import { CAVESOFQUD } from './config.mjs';
+
+/**
+ * Work out which venom a mutation delivers
+ * Uses system.naturalWeapon.venom, falling back to the item name
+ * ("Stinger (Paralyzing Venom)") for items created before the field existed
+ *
+ * @param {Item} mutationItem - Mutation item
+ * @returns {string|null} Venom key (e.g. "paralyzing") or null
+ */
+export function getMutationVenom(mutationItem) {
+  const venom = mutationItem.system.naturalWeapon?.venom;
+  if (venom && CAVESOFQUD.venoms[venom]) return venom;
+
+  const match = mutationItem.name.match(/\((\w+) Venom\)/i);
+  const fromName = match?.[1].toLowerCase();
+  return CAVESOFQUD.venoms[fromName] ? fromName : null;
+}
+
+/**
+ * Roll a Toughness save: 1d20 + Toughness modifier, succeeding on total >= difficulty
+ *
+ * @async
+ * @param {Actor} actor - Actor making the save
+ * @param {number} difficulty - Difficulty to meet
+ * @returns {Promise<Object>} { roll, total, difficulty, success }
+ */
+export async function rollToughnessSave(actor, difficulty) {
+  const mod = actor.system.attributes.toughness.mod;
+  const roll = await new Roll(`1d20 + ${mod}`).evaluate();
+
+  return {
+    roll: roll.dice[0]?.total ?? roll.total,
+    total: roll.total,
+    difficulty: difficulty,
+    success: roll.total >= difficulty
+  };
+}
+
+/**
+ * Resolve a weapon's venom against a hit
+ * Rolls happen inside the caller's seeded context.
+ *
+ * @async
+ * @param {Actor} target - Stung actor
+ * @param {Object} result - Hand result, with venom { type, level, source }
+ * @returns {Promise<Array<Object>>} Hit effects: a condition effect on a failed save,
+ *   a "venom" effect noting the resisted save otherwise
+ *
+ * @example
+ * // Level 3 paralyzing sting, target fails with 9 vs 15
+ * await resolveVenom(target, hand);
+ * // [{ key: "condition", condition: "paralyzed", rounds: 3, label: "Paralyzing Venom", ... }]
+ */
+export async function resolveVenom(target, result) {
+  const venom = result.venom;
+  const config = CAVESOFQUD.venoms[venom?.type];
+  if (!config || !result.hit || !result.penetration?.totalPenetrations) return [];
+
+  const data = { level: venom.level || 1 };
+  const difficulty = (await new Roll(config.saveDifficulty, data).evaluate()).total;
+  const save = await rollToughnessSave(target, difficulty);
+  const saveText = `Toughness save ${save.total} vs ${difficulty}`;
+
+  if (save.success) {
+    return [{
+      key: 'venom',
+      source: venom.source,
+      label: config.label,
+      description: `${saveText}, resisted`,
+      save: save
+    }];
+  }
+
+  const rounds = Math.max(1, (await new Roll(config.durationFormula, data).evaluate()).total);
+  const condition = CAVESOFQUD.conditions[config.condition];
+  return [{
+    key: 'condition',
+    condition: config.condition,
+    rounds: rounds,
+    source: venom.source,
+    label: config.label,
+    description: `${saveText}, failed: ${condition.label.toLowerCase()} for ${rounds} round${rounds === 1 ? '' : 's'}`,
+    save: save
+  }];
+}
@@ -0,0 +1,181 @@
+/**
+ * Weapon Class Registry
+ *
+ * Each weapon (equipped or natural) may name a weapon class in
+ * system.weaponClass. The class definition hooks into the attack sequence:
+ *
+ * - modifyAttack(context)  before to-hit: adjust context.toHitBonus / context.pvBonus
+ * - onCritical(crit)       natural 20: adjust crit.pvBonus / push crit.effects
+ * - onHit(context)         after damage (async, may roll): push context.effects
+ * - modifyActor(systemData, actor)  once during data prep if the actor wields the class
+ *
+ * Effects are plain objects { key, label, description, ... } shown on the
+ * combat card; other systems (dismemberment, conditions) act on their key.
+ *
+ * Modules can add classes with registerWeaponClass().
+ * Source: https://wiki.cavesofqud.com/wiki/Weapons
+ */
+
+import { getDismemberableParts, getBodyPartDisplayName } from './bodyparts.mjs';
+import { randomInt } from './random.mjs';
+
+/**
+ * Registered weapon classes, keyed by the name used in system.weaponClass
+ * @type {Object<string, Object>}
+ */
+export const weaponClasses = {};
+
+/**
+ * Register (or replace) a weapon class
+ *
+ * @param {string} name - Class name as written in system.weaponClass (e.g. "Axe")
+ * @param {Object} definition - Class definition (see module header)
+ *
+ * @example
+ * registerWeaponClass("Spear", {
+ *   label: "Spear",
+ *   modifyAttack(context) { context.toHitBonus += 1; }
+ * });
+ */
+export function registerWeaponClass(name, definition) {
+  weaponClasses[name] = { label: name, ...definition };
+}
+
+/**
+ * Look up a weapon class
+ *
+ * @param {string} name - Class name
+ * @returns {Object|null} Class definition
+ */
+export function getWeaponClass(name) {
+  return (name && weaponClasses[name]) || null;
+}
+
+/**
+ * Roll a percentage check inside the current (seeded) attack
+ *
+ * @private
+ * @async
+ * @param {number} chance - Percent chance (0-100)
+ * @returns {Promise<Object>} { success, roll }
+ */
+async function _rollChance(chance) {
+  const roll = await new Roll('1d100').evaluate();
+  return { success: roll.total <= chance, roll: roll.total };
+}
+
+/* -------------------------------------------- */
+/*  Built-in Classes                            */
+/* -------------------------------------------- */
+
+/**
+ * Long Blade stances (actor.system.combat.longBladeStance)
+ * Source: https://wiki.cavesofqud.com/wiki/Long_Blade
+ */
+export const LONG_BLADE_STANCES = {
+  aggressive: { label: "Aggressive", toHitBonus: -1, pvBonus: 1, dvBonus: 0 },
+  defensive: { label: "Defensive", toHitBonus: 0, pvBonus: 0, dvBonus: 2 },
+  dueling: { label: "Dueling", toHitBonus: 2, pvBonus: 0, dvBonus: 0 }
+};
+
+registerWeaponClass("Axe", {
+  dismemberChance: 3,
+  criticalDismemberChance: 25,
+
+  // Penetrating axe hits may sever a random limb (applied by actor.dismember)
+  async onHit(context) {
+    const { result, target } = context;
+    if (!result.penetration?.totalPenetrations) return;
+
+    const limbs = getDismemberableParts(target.system.bodyParts ?? {});
+    if (limbs.length === 0) return;
+
+    const chance = result.critical ? this.criticalDismemberChance : this.dismemberChance;
+    const check = await _rollChance(chance);
+    if (check.success) {
+      const limb = limbs[randomInt(limbs.length)];
+      const limbName = getBodyPartDisplayName(limb);
+      context.effects.push({
+        key: 'dismember',
+        bodyPartId: limb.id,
+        bodyPartName: limbName,
+        label: 'Dismember',
+        description: `Axe severs the ${limbName} (${check.roll} ≤ ${chance}%)`
+      });
+    }
+  }
+});
+
+registerWeaponClass("Cudgel", {
+  dazeChance: 25,
+  dazeDuration: "1d3+1",
+  stunDuration: "1d2",
+
+  // Penetrating hits may daze; critical hits always stun
+  async onHit(context) {
+    const { result } = context;
+    if (!result.penetration?.totalPenetrations) return;
+
+    if (result.critical) {
+      const rounds = (await new Roll(this.stunDuration).evaluate()).total;
+      context.effects.push({
+        key: 'condition',
+        condition: 'stunned',
+        rounds: rounds,
+        label: 'Stun',
+        description: `Cudgel stuns for ${rounds} round${rounds === 1 ? '' : 's'}`
+      });
+      return;
+    }
+
+    const check = await _rollChance(this.dazeChance);
+    if (check.success) {
+      const rounds = (await new Roll(this.dazeDuration).evaluate()).total;
+      context.effects.push({
+        key: 'condition',
+        condition: 'dazed',
+        rounds: rounds,
+        label: 'Daze',
+        description: `Cudgel dazes for ${rounds} rounds (${check.roll} ≤ ${this.dazeChance}%)`
+      });
+    }
+  }
+});
+
+registerWeaponClass("Long Blade", {
+  modifyAttack(context) {
+    const stance = LONG_BLADE_STANCES[context.attacker.system.combat.longBladeStance];
+    if (!stance) return;
+
+    context.toHitBonus += stance.toHitBonus;
+    context.pvBonus += stance.pvBonus;
+    if (stance.toHitBonus || stance.pvBonus) {
+      context.effects.push({
+        key: 'stance',
+        label: `${stance.label} Stance`,
+        description: [
+          stance.toHitBonus ? `${stance.toHitBonus > 0 ? '+' : ''}${stance.toHitBonus} to hit` : null,
+          stance.pvBonus ? `+${stance.pvBonus} PV` : null
+        ].filter(Boolean).join(', ')
+      });
+    }
+  },
+
+  modifyActor(systemData) {
+    const stance = LONG_BLADE_STANCES[systemData.combat.longBladeStance];
+    if (stance?.dvBonus) systemData.combat.dv += stance.dvBonus;
+  }
+});
+
+registerWeaponClass("Short Blade", {
+  criticalPVBonus: 2,
+
+  // Short blades find the gaps in armor on a critical
+  onCritical(crit) {
+    crit.pvBonus += this.criticalPVBonus;
+    crit.effects.push({
+      label: 'Puncture',
+      description: `Short Blade +${this.criticalPVBonus} PV`
+    });
+  }
+});
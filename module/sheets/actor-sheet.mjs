@@ -9,12 +9,21 @@ import {
   flattenBodyPartTree,
   getBodyPartDisplayName,
   canEquipItem,
-  canWieldWeapon
+  canWieldWeapon,
+  getDismemberableParts
 } from '../helpers/bodyparts.mjs';
 import {
   getActorInspectionData,
   getActiveMutationEffects
 } from '../tools/inspector.mjs';
+import { openPenetrationCalculator } from '../tools/calculators.mjs';
+import { downloadBuild } from '../tools/build-codes.mjs';
+import { isRangedWeapon, getAmmoStatus } from '../helpers/ranged.mjs';
+import { getAttackPenetration } from '../helpers/combat.mjs';
+import { LONG_BLADE_STANCES } from '../helpers/weapon-classes.mjs';
+import { getMutationLevelCap, getRaiseBlocker } from '../helpers/mutation-points.mjs';
+import { getXPProgress, describeAdvancement, promptLevelUp } from '../helpers/advancement.mjs';
+import { getSkillTreeView } from '../helpers/skills.mjs';
 
 export default class CavesOfQudActorSheet extends ActorSheet {
 
@@ -34,6 +43,20 @@ export default class CavesOfQudActorSheet extends ActorSheet {
     return `systems/cavesofqud/templates/actor/${this.actor.type}-sheet.hbs`;
   }
 
+  /** @override */
+  _getHeaderButtons() {
+    const buttons = super._getHeaderButtons();
+    if (this.actor.type === 'character') {
+      buttons.unshift({
+        label: 'Export Build',
+        class: 'export-build',
+        icon: 'fas fa-file-export',
+        onclick: () => downloadBuild(this.actor)
+      });
+    }
+    return buttons;
+  }
+
   /** @override */
   async getData() {
     const context = super.getData();
@@ -51,6 +74,74 @@ export default class CavesOfQudActorSheet extends ActorSheet {
     // Add config
     context.config = CAVESOFQUD;
 
+    // Resistances (innate value from the actor + armor and mutation bonuses)
+    context.resistances = Object.entries(context.system.combat.resistances || {}).map(([key, value]) => ({
+      key: key,
+      label: CAVESOFQUD.damageTypes[key]?.label ?? key,
+      icon: CAVESOFQUD.damageTypes[key]?.icon ?? '',
+      base: context.system.resistances?.[key] || 0,
+      value: value
+    }));
+
+    // Mutation levels: mental mutations work at level + Ego modifier
+    for (let item of context.items) {
+      if (item.type !== 'mutation') continue;
+      const mutation = this.actor.items.get(item._id);
+      item.effectiveLevel = mutation.getEffectiveLevel();
+      item.canRaise = !getRaiseBlocker(this.actor, mutation);
+      item.raiseTo = item.system.level + 1;
+    }
+
+    // Mutation Points: level cap and prices
+    context.mutationPoints = {
+      levelCap: getMutationLevelCap(this.actor.system.level.value),
+      raiseCost: CAVESOFQUD.mutationPoints.raiseCost,
+      buyCost: CAVESOFQUD.mutationPoints.buyCost,
+      canBuy: this.actor.system.characterType !== 'TrueKin' &&
+        this.actor.system.mutationPoints.available >= CAVESOFQUD.mutationPoints.buyCost
+    };
+
+    // Skill trees: owned powers and what can be bought
+    context.skillTrees = getSkillTreeView(this.actor);
+
+    // XP towards the next level and the latest advancement, which can be undone
+    const history = this.actor.system.advancement.history ?? [];
+    context.advancement = {
+      ...getXPProgress(this.actor),
+      lastEntry: history.length > 0 ? describeAdvancement(history.at(-1)) : null
+    };
+
+    // Severed limbs carried in the inventory
+    context.severedLimbs = context.items.filter(item => item.type === 'limb');
+    context.cybernetics = context.items.filter(item => item.type === 'cybernetic');
+
+    // Missing limbs: regrowth and prosthetics
+    context.missingLimbs = this._prepareMissingLimbs();
+
+    // Status conditions (plain data: effects are Documents)
+    context.conditions = this.actor.getConditions().map(condition => ({
+      id: condition.id,
+      label: condition.label,
+      icon: condition.icon,
+      description: condition.description,
+      rounds: condition.rounds,
+      stacks: condition.stacks > 1 ? condition.stacks : null
+    }));
+
+    // Activated abilities, locked while on cooldown
+    context.abilities = this.actor.getActivatedAbilities();
+
+    // HP regeneration pause (recent damage, poison, ...)
+    context.regenPause = this.actor.getRegenerationPause();
+
+    // Squares left this turn, while in combat
+    context.movementBudget = this.actor.getMovementBudget();
+
+    // Long Blade stance picker, only while wielding a long blade
+    if (this.actor.getWieldedWeaponClasses().has('Long Blade')) {
+      context.longBladeStances = LONG_BLADE_STANCES;
+    }
+
     // Add GM flag for developer tools (F006)
     context.isGM = game.user.isGM;
 
@@ -97,6 +188,11 @@ export default class CavesOfQudActorSheet extends ActorSheet {
     context.armorItems = armorItems;
     context.weaponItems = weaponItems;
 
+    // GMs can sever appendages from the sheet
+    const severableIds = game.user.isGM ?
+      new Set(getDismemberableParts(bodyParts).map(part => part.id)) :
+      new Set();
+
     // Add display data to each part
     for (let item of flat) {
       item.displayName = getBodyPartDisplayName(item.part);
@@ -108,6 +204,12 @@ export default class CavesOfQudActorSheet extends ActorSheet {
         item.equippedItem = this.actor.items.get(item.part.equipment);
       }
 
+      // Missile and thrown weapons get Fire/Throw (and Reload) instead of Attack
+      if (item.equippedItem?.type === 'weapon' && isRangedWeapon(item.equippedItem)) {
+        item.ranged = true;
+        item.ammoStatus = this._getAmmoDisplay(item.equippedItem);
+      }
+
       // Get natural weapon if any (F005)
       item.naturalWeapon = this.actor.getNaturalWeapon(item.part.id);
 
@@ -132,6 +234,8 @@ export default class CavesOfQudActorSheet extends ActorSheet {
       // Check if this part has any weapon (equipped or natural)
       item.hasWeapon = !!(item.equippedItem?.type === 'weapon' || item.naturalWeapon);
 
+      item.canSever = severableIds.has(item.part.id);
+
       // Check if this is the designated main hand
       item.isMainHand = (item.part.id === context.system.combat.mainHandId);
 
@@ -145,6 +249,56 @@ export default class CavesOfQudActorSheet extends ActorSheet {
     this._prepareEquipmentBreakdown(context);
   }
 
+  /**
+   * Missing limbs with their regrowth status and the prosthetics that fit them
+   *
+   * @returns {Array<Object>} Missing limbs for display
+   */
+  _prepareMissingLimbs() {
+    const regenerates = this.actor.hasLimbRegeneration();
+    const freeCybernetics = this.actor.items.filter(item => item.type === 'cybernetic' && !item.system.installed);
+
+    return this.actor.getMissingLimbs().map(limb => {
+      const regrowing = limb.regrowAt !== null;
+      const hoursLeft = regrowing ? Math.max(0, Math.ceil((limb.regrowAt - game.time.worldTime) / 3600)) : 0;
+
+      return {
+        ...limb,
+        regrowing: regrowing,
+        regrowText: regrowing ? `Regrowing (${hoursLeft}h left)` : '',
+        regenerates: regenerates,
+        canFinish: regrowing && game.user.isGM,
+        prosthetics: freeCybernetics
+          .filter(item => item.system.slot === limb.type)
+          .map(item => ({ id: item.id, name: item.name }))
+      };
+    });
+  }
+
+  /**
+   * Short ammunition readout for a missile or thrown weapon
+   *
+   * @param {Item} weapon - Missile or thrown weapon
+   * @returns {Object|null} { text, title } or null if the weapon needs no ammunition
+   */
+  _getAmmoDisplay(weapon) {
+    const status = getAmmoStatus(this.actor, weapon);
+
+    switch (status.mode) {
+      case 'magazine':
+        return {
+          text: `${status.remaining}/${weapon.system.magazine.size}`,
+          title: `Loaded rounds (${weapon.system.ammoType || 'any'} ammunition)`
+        };
+      case 'ammo':
+        return { text: `×${status.remaining}`, title: `Carried ${weapon.system.ammoType} ammunition` };
+      case 'thrown':
+        return { text: `×${status.remaining}`, title: 'Left to throw' };
+      default:
+        return null;
+    }
+  }
+
   /**
    * Prepare equipment breakdown for stat tooltips
    */
@@ -209,6 +363,9 @@ export default class CavesOfQudActorSheet extends ActorSheet {
   activateListeners(html) {
     super.activateListeners(html);
 
+    // Developer tools (GM only)
+    html.find('.open-penetration-calculator').click(this._onOpenPenetrationCalculator.bind(this));
+
     // Everything below here is only needed if the sheet is editable
     if (!this.isEditable) return;
 
@@ -225,7 +382,25 @@ export default class CavesOfQudActorSheet extends ActorSheet {
 
     // Combat actions
     html.find('.attack-button').click(this._onAttackClick.bind(this));
+    html.find('.ranged-attack-button').click(this._onRangedAttackClick.bind(this));
+    html.find('.reload-button').click(this._onReloadClick.bind(this));
     html.find('.set-main-hand').click(this._onSetMainHand.bind(this));
+    html.find('.sever-part').click(this._onSeverPart.bind(this));
+    html.find('.regrow-limb').click(this._onRegrowLimb.bind(this));
+    html.find('.attach-prosthetic').click(this._onAttachProsthetic.bind(this));
+    html.find('.detach-prosthetic').click(this._onDetachProsthetic.bind(this));
+    html.find('.condition-remove').click(this._onRemoveCondition.bind(this));
+    html.find('.condition-add').change(this._onAddCondition.bind(this));
+    html.find('.rest-button').click(this._onRest.bind(this));
+    html.find('.use-ability').click(this._onUseAbility.bind(this));
+    html.find('.sprint-button').click(this._onSprint.bind(this));
+    html.find('.flight-toggle').click(this._onToggleFlight.bind(this));
+    html.find('.mutation-raise').click(this._onRaiseMutation.bind(this));
+    html.find('.mutation-buy').click(this._onBuyMutation.bind(this));
+    html.find('.advancement-undo').click(this._onUndoAdvancement.bind(this));
+    html.find('.level-up-button').click(this._onLevelUp.bind(this));
+    html.find('.attribute-spend').click(this._onSpendAttributePoint.bind(this));
+    html.find('.skill-buy').click(this._onBuySkill.bind(this));
   }
 
   /**
@@ -299,6 +474,9 @@ export default class CavesOfQudActorSheet extends ActorSheet {
       system: {}
     };
 
+    // Mutation lists create mutations of their own kind
+    if (header.dataset.mutationType) itemData.system.mutationType = header.dataset.mutationType;
+
     return await Item.create(itemData, { parent: this.actor });
   }
 
@@ -387,6 +565,45 @@ export default class CavesOfQudActorSheet extends ActorSheet {
     }
   }
 
+  /**
+   * Handle Fire/Throw button click (missile and thrown weapons)
+   */
+  async _onRangedAttackClick(event) {
+    event.preventDefault();
+    const bodyPartId = event.currentTarget.dataset.bodyPartId;
+
+    const targets = Array.from(game.user.targets);
+    if (targets.length === 0) {
+      ui.notifications.warn("You must target an enemy before firing");
+      return;
+    }
+
+    const target = targets[0].actor;
+    if (!target) {
+      ui.notifications.error("Invalid target");
+      return;
+    }
+
+    try {
+      await this.actor.rollRangedAttack(target, bodyPartId);
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  }
+
+  /**
+   * Handle Reload button click
+   */
+  async _onReloadClick(event) {
+    event.preventDefault();
+
+    try {
+      await this.actor.reloadWeapon(event.currentTarget.dataset.weaponId);
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  }
+
   /**
    * Handle main hand designation button click
    */
@@ -403,4 +620,262 @@ export default class CavesOfQudActorSheet extends ActorSheet {
       console.error("Set main hand failed:", error);
     }
   }
+
+  /**
+   * Handle GM sever button click (dismemberment)
+   */
+  async _onSeverPart(event) {
+    event.preventDefault();
+    const partId = event.currentTarget.dataset.partId;
+    const part = this.actor.getBodyPart(partId);
+    if (!part) return;
+
+    const confirmed = await Dialog.confirm({
+      title: 'Sever Limb',
+      content: `<p>Sever ${this.actor.name}'s ${getBodyPartDisplayName(part).toLowerCase()} and everything attached to it?</p>`
+    });
+    if (!confirmed) return;
+
+    await this.actor.dismember(partId);
+  }
+
+  /**
+   * Handle Regrow button click (starts regrowth, or finishes it for the GM)
+   */
+  async _onRegrowLimb(event) {
+    event.preventDefault();
+    const button = event.currentTarget;
+
+    try {
+      await this.actor.regrowLimb(button.dataset.planId, { immediate: button.dataset.immediate === 'true' });
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  }
+
+  /**
+   * Handle Attach button click for a missing limb's prosthetic select
+   */
+  async _onAttachProsthetic(event) {
+    event.preventDefault();
+    const planId = event.currentTarget.dataset.planId;
+    const select = this.element.find(`.prosthetic-select[data-plan-id="${planId}"]`);
+    const itemId = select.val();
+    if (!itemId) return;
+
+    try {
+      await this.actor.attachProsthetic(planId, itemId);
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  }
+
+  /**
+   * Handle Detach button click on an installed prosthetic
+   */
+  async _onDetachProsthetic(event) {
+    event.preventDefault();
+    const li = event.currentTarget.closest('.item-row');
+
+    try {
+      await this.actor.detachProsthetic(li.dataset.itemId);
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  }
+
+  /**
+   * Handle condition remove button click
+   */
+  async _onRemoveCondition(event) {
+    event.preventDefault();
+    await this.actor.removeCondition(event.currentTarget.dataset.condition);
+  }
+
+  /**
+   * Handle GM add-condition select (applies the condition's default duration)
+   */
+  async _onAddCondition(event) {
+    event.preventDefault();
+    const id = event.currentTarget.value;
+    if (!id) return;
+
+    await this.actor.applyCondition(id, { source: 'GM' });
+  }
+
+  /**
+   * Handle activated ability button click
+   */
+  async _onUseAbility(event) {
+    event.preventDefault();
+
+    try {
+      await this.actor.useAbility(event.currentTarget.dataset.itemId);
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  }
+
+  /**
+   * Handle Rest button click (rest until healed)
+   */
+  async _onRest(event) {
+    event.preventDefault();
+
+    try {
+      const seconds = await this.actor.restUntilHealed();
+      if (seconds === null) ui.notifications.info("Asked the GM to let time pass for a rest");
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  }
+
+  /**
+   * Handle Sprint button click
+   */
+  async _onSprint(event) {
+    event.preventDefault();
+
+    try {
+      await this.actor.sprint();
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  }
+
+  /**
+   * Handle Take Flight / Land toggle
+   */
+  async _onToggleFlight(event) {
+    event.preventDefault();
+
+    try {
+      await this.actor.setFlying(!this.actor.system.flying);
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  }
+
+  /**
+   * Handle raise button on a mutation row
+   */
+  async _onRaiseMutation(event) {
+    event.preventDefault();
+    const itemId = event.currentTarget.closest('.mutation-row').dataset.itemId;
+
+    try {
+      await this.actor.raiseMutation(itemId);
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  }
+
+  /**
+   * Handle Buy Mutation button: pick one of the three mutations on offer
+   */
+  async _onBuyMutation(event) {
+    event.preventDefault();
+
+    let choices;
+    try {
+      choices = await this.actor.getMutationChoices();
+    } catch (error) {
+      ui.notifications.warn(error.message);
+      return;
+    }
+
+    const buttons = {};
+    for (let [index, choice] of choices.entries()) {
+      buttons[`choice${index}`] = {
+        icon: `<img src="${choice.img}" width="20" height="20"/>`,
+        label: `${choice.name} (${choice.mutationType === 'mental' ? 'Mental' : 'Physical'})`,
+        callback: () => choice.uuid
+      };
+    }
+
+    const uuid = await Dialog.wait({
+      title: `Buy Mutation (${CAVESOFQUD.mutationPoints.buyCost} MP)`,
+      content: `<p>Choose a new mutation for ${this.actor.name}:</p>`,
+      buttons: buttons,
+      close: () => null
+    }, { classes: ['cavesofqud', 'dialog', 'mutation-choice'] });
+    if (!uuid) return;
+
+    try {
+      const item = await this.actor.buyMutation(uuid);
+      ui.notifications.info(`${this.actor.name} gains ${item.name}`);
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  }
+
+  /**
+   * Handle Level Up button (shown while the XP pays for a level)
+   */
+  async _onLevelUp(event) {
+    event.preventDefault();
+    await promptLevelUp(this.actor);
+  }
+
+  /**
+   * Handle + button next to an attribute: spend an attribute point on it
+   */
+  async _onSpendAttributePoint(event) {
+    event.preventDefault();
+    const key = event.currentTarget.closest('.attribute-row').dataset.attribute;
+
+    try {
+      await this.actor.spendAttributePoint(key);
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  }
+
+  /**
+   * Handle Buy button on a skill tree power
+   */
+  async _onBuySkill(event) {
+    event.preventDefault();
+    const { tree, power } = event.currentTarget.dataset;
+
+    try {
+      await this.actor.buySkill(tree, power);
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  }
+
+  /**
+   * Handle Undo button for the last level-up, attribute point or Mutation Point purchase
+   */
+  async _onUndoAdvancement(event) {
+    event.preventDefault();
+
+    try {
+      await this.actor.undoLastAdvancement();
+    } catch (error) {
+      ui.notifications.warn(error.message);
+    }
+  }
+
+  /**
+   * Open the penetration calculator prefilled with this actor's main weapon
+   * and the AV of the current target (if any)
+   */
+  async _onOpenPenetrationCalculator(event) {
+    event.preventDefault();
+
+    const mainHand = this.actor.getMainHand();
+    const weapon = mainHand ?
+      (mainHand.equipment ? this.actor.items.get(mainHand.equipment) : this.actor.getNaturalWeapon(mainHand.id)) :
+      null;
+
+    const target = Array.from(game.user.targets)[0]?.actor;
+
+    await openPenetrationCalculator({
+      pv: weapon ? getAttackPenetration(this.actor, weapon).attackerPV : this.actor.system.combat.pv,
+      av: target?.system.combat.av ?? 0,
+      damage: weapon?.system.damage || "1d4"
+    });
+  }
 }
@@ -4,6 +4,8 @@
  */
 
 import { CAVESOFQUD } from '../helpers/config.mjs';
+import { weaponClasses } from '../helpers/weapon-classes.mjs';
+import { getMutationVenom } from '../helpers/venom.mjs';
 
 export default class CavesOfQudItemSheet extends ItemSheet {
 
@@ -33,6 +35,41 @@ export default class CavesOfQudItemSheet extends ItemSheet {
     context.flags = itemData.flags;
     context.config = CAVESOFQUD;
 
+    // Registered weapon classes for the class select
+    if (this.item.type === 'weapon') {
+      context.weaponClasses = Object.keys(weaponClasses);
+    }
+
+    // Non-zero resistance bonuses for the mutation info box
+    if (this.item.type === 'mutation') {
+      // Mental mutations on an actor work at level + Ego modifier
+      if (itemData.system.mutationType === 'mental' && this.item.actor) {
+        const ego = this.item.actor.getEgoModifier();
+        context.effectiveLevel = {
+          value: this.item.getEffectiveLevel(),
+          formula: `level ${itemData.system.level} ${ego < 0 ? '-' : '+'} Ego ${Math.abs(ego)}`
+        };
+      }
+
+      context.resistanceBonuses = Object.entries(itemData.system.statBonuses?.resistances || {})
+        .filter(([type, bonus]) => (bonus.type === 'formula' && bonus.formula) || bonus.value)
+        .map(([type, bonus]) => ({
+          label: CAVESOFQUD.damageTypes[type]?.label ?? type,
+          value: bonus.type === 'formula' ? bonus.formula : `+${bonus.value}`
+        }));
+
+      // Stinger venom, with formulas written in terms of level
+      const venom = CAVESOFQUD.venoms[getMutationVenom(this.item)];
+      if (venom) {
+        context.venom = {
+          label: venom.label,
+          condition: CAVESOFQUD.conditions[venom.condition].label,
+          saveDifficulty: venom.saveDifficulty.replace(/@level/g, 'level'),
+          duration: venom.durationFormula.replace(/@level/g, 'level')
+        };
+      }
+    }
+
     return context;
   }
 
@@ -45,6 +82,48 @@ export default class CavesOfQudItemSheet extends ItemSheet {
     // Mutation apply/remove
     html.find('.mutation-apply-btn').click(this._onApplyMutation.bind(this));
     html.find('.mutation-remove-btn').click(this._onRemoveMutation.bind(this));
+
+    // Weapon typed damage components
+    html.find('.damage-component-add').click(this._onAddDamageComponent.bind(this));
+    html.find('.damage-component-delete').click(this._onDeleteDamageComponent.bind(this));
+  }
+
+  /** @override */
+  async _updateObject(event, formData) {
+    const data = foundry.utils.expandObject(formData);
+
+    // Form fields index into the components array; rebuild it as an array
+    const components = data.system?.damageComponents;
+    if (components && !Array.isArray(components)) {
+      data.system.damageComponents = Object.values(components);
+    }
+
+    return this.item.update(data);
+  }
+
+  /**
+   * Handle adding a typed damage component to a weapon
+   */
+  async _onAddDamageComponent(event) {
+    event.preventDefault();
+
+    const components = [...(this.item.system.damageComponents || [])];
+    components.push({ type: 'heat', formula: '1d2' });
+
+    await this.item.update({ 'system.damageComponents': components });
+  }
+
+  /**
+   * Handle removing a typed damage component from a weapon
+   */
+  async _onDeleteDamageComponent(event) {
+    event.preventDefault();
+    const index = Number(event.currentTarget.closest('.damage-component').dataset.index);
+
+    const components = [...(this.item.system.damageComponents || [])];
+    components.splice(index, 1);
+
+    await this.item.update({ 'system.damageComponents': components });
   }
 
   /**
@@ -0,0 +1,84 @@
+/**
+ * Build Import / Export
+ * Dialog for importing a Qud build code or build file as a new character,
+ * and download of an actor's build. The formats live in helpers/builds.mjs.
+ */
+
+import { exportBuild, importBuild, parseBuild } from '../helpers/builds.mjs';
+
+/**
+ * Open the build import dialog
+ * A code can be pasted or a build file chosen; the build's name is used
+ * unless another is given.
+ *
+ * @async
+ * @returns {Promise<Dialog>} The rendered dialog
+ *
+ * @example
+ * game.cavesofqud.openBuildImporter();
+ */
+export async function openBuildImporter() {
+  const content = await renderTemplate("systems/cavesofqud/templates/tools/build-import.hbs", {});
+
+  const dialog = new Dialog({
+    title: "Import Build",
+    content: content,
+    buttons: {
+      import: {
+        icon: '<i class="fas fa-file-import"></i>',
+        label: "Import",
+        callback: (html) => _import(html)
+      },
+      cancel: { icon: '<i class="fas fa-times"></i>', label: "Cancel" }
+    },
+    default: "import",
+    render: (html) => {
+      html.find('input[name="file"]').on('change', async (event) => {
+        const file = event.currentTarget.files[0];
+        if (file) html.find('textarea[name="code"]').val(await (foundry.utils.readTextFromFile ?? readTextFromFile)(file));
+      });
+    }
+  }, {
+    classes: ['cavesofqud', 'dialog', 'build-import'],
+    width: 480
+  });
+
+  return dialog.render(true);
+}
+
+/**
+ * Save an actor's build as a JSON file
+ *
+ * @param {Actor} actor - Actor
+ *
+ * @example
+ * game.cavesofqud.downloadBuild(actor);
+ */
+export function downloadBuild(actor) {
+  const data = exportBuild(actor);
+  const filename = `${actor.name.slugify?.() ?? actor.name}-build.json`;
+  (foundry.utils.saveDataToFile ?? saveDataToFile)(JSON.stringify(data, null, 2), 'text/json', filename);
+}
+
+/**
+ * Import the pasted build and open the new character's sheet
+ *
+ * @private
+ * @async
+ * @param {jQuery} html - Dialog element
+ */
+async function _import(html) {
+  try {
+    const build = await parseBuild(html.find('textarea[name="code"]').val());
+    const { actor, skipped } = await importBuild(build, { name: html.find('input[name="name"]').val() });
+
+    if (skipped.length > 0) {
+      ui.notifications.warn(`No compendium mutation matches ${skipped.join(', ')}; ${actor.name} was created without them`);
+    } else {
+      ui.notifications.info(`Imported ${actor.name}`);
+    }
+    actor.sheet.render(true);
+  } catch (error) {
+    ui.notifications.warn(error.message);
+  }
+}
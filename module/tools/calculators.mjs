@@ -1,6 +1,225 @@
 /**
- * Calculation Breakdown Extractors
- * Extracts step-by-step calculation details for all derived stats
+ * Combat Calculators
+ * Exact penetration odds and expected damage for GMs
+ *
+ * Uses the same rules as resolvePenetration in helpers/dice.mjs:
+ * - Singlet: 1d10-2, a raw 10 (result 8) explodes into another singlet die
+ * - Triplet: 3 singlets, each passes if (singlet + PV) >= AV; 1 penetration if any pass
+ * - Chaining: if all 3 pass, roll another triplet at PV-2 (stop at PV <= 0)
+ *
+ * All values are computed analytically, not simulated.
  */
 
-// Functions will be added during implementation
+/**
+ * Probability that a single singlet totals at least `threshold`
+ *
+ * A non-exploding die gives -1..7 (raw 1-9), each with probability 1/10.
+ * A raw 10 gives 8 plus another singlet, so:
+ *   P(S >= t) = (# of -1..7 that are >= t) / 10 + P(S >= t - 8) / 10
+ *
+ * @param {number} threshold - Minimum singlet total (AV - PV)
+ * @returns {number} Probability (0-1)
+ */
+export function singletPassChance(threshold) {
+  if (threshold <= -1) return 1;
+
+  const plainFaces = Math.max(0, 7 - threshold + 1);
+  return Math.min(9, plainFaces) / 10 + singletPassChance(threshold - 8) / 10;
+}
+
+/**
+ * Full distribution of totalPenetrations for a PV/AV pair
+ *
+ * @param {number} attackerPV - Attacker PV (base + weapon)
+ * @param {number} defenderAV - Defender AV
+ * @returns {Object} Distribution result
+ * @returns {Array<Object>} result.distribution - [{penetrations, probability}] for 0..max
+ * @returns {number} result.expectedPenetrations - Mean penetrations
+ * @returns {number} result.penetrateChance - Probability of at least one penetration
+ * @returns {number} result.singletChance - Chance a single singlet passes at the starting PV
+ *
+ * @example
+ * const odds = calculatePenetrationDistribution(6, 8);
+ * // { distribution: [{penetrations: 0, probability: 0.027}, ...], penetrateChance: 0.973, expectedPenetrations: 1.30, ... }
+ */
+export function calculatePenetrationDistribution(attackerPV, defenderAV) {
+  const probabilities = penetrationProbabilities(attackerPV, defenderAV);
+
+  const distribution = probabilities.map((probability, penetrations) => ({
+    penetrations: penetrations,
+    probability: probability
+  }));
+
+  const expectedPenetrations = probabilities.reduce((sum, p, n) => sum + p * n, 0);
+
+  return {
+    attackerPV: attackerPV,
+    defenderAV: defenderAV,
+    singletChance: attackerPV > 0 ? singletPassChance(defenderAV - attackerPV) : 0,
+    distribution: distribution,
+    expectedPenetrations: expectedPenetrations,
+    penetrateChance: 1 - probabilities[0]
+  };
+}
+
+/**
+ * Probability of each penetration count, indexed by count
+ *
+ * @private
+ * @param {number} pv - Current PV
+ * @param {number} av - Defender AV
+ * @returns {Array<number>} probabilities[n] = P(totalPenetrations = n)
+ */
+function penetrationProbabilities(pv, av) {
+  if (pv <= 0) return [1];
+
+  const p = singletPassChance(av - pv);
+  const allPass = p ** 3;
+  const nonePass = (1 - p) ** 3;
+  const somePass = 1 - allPass - nonePass;
+
+  // All three passed: 1 penetration plus whatever the PV-2 triplet chain adds
+  const chained = penetrationProbabilities(pv - 2, av);
+  const result = new Array(chained.length + 1).fill(0);
+
+  result[0] += nonePass;
+  result[1] += somePass;
+  chained.forEach((probability, n) => {
+    result[n + 1] += allPass * probability;
+  });
+
+  return result;
+}
+
+/**
+ * Average result of a damage formula
+ * Exact for sums of dice and constants (e.g. "1d6", "2d4+1", "1d2-1")
+ *
+ * @async
+ * @param {string} formula - Damage formula
+ * @returns {Promise<number>} Average roll
+ */
+export async function averageDamage(formula) {
+  const min = await new Roll(formula).evaluate({ minimize: true });
+  const max = await new Roll(formula).evaluate({ maximize: true });
+  return (min.total + max.total) / 2;
+}
+
+/**
+ * Penetration distribution plus expected damage for a weapon
+ * Damage is rolled once per penetration, so expected damage = E[penetrations] × E[damage roll]
+ *
+ * @async
+ * @param {number} attackerPV - Attacker PV (base + weapon)
+ * @param {number} defenderAV - Defender AV
+ * @param {string} damageFormula - Weapon damage formula (e.g. "1d4")
+ * @returns {Promise<Object>} Distribution result with averageDamage and expectedDamage
+ *
+ * @example
+ * const odds = await calculateExpectedDamage(6, 8, "1d4");
+ * // { ..., averageDamage: 2.5, expectedDamage: 3.25 }
+ */
+export async function calculateExpectedDamage(attackerPV, defenderAV, damageFormula) {
+  const result = calculatePenetrationDistribution(attackerPV, defenderAV);
+  const average = damageFormula ? await averageDamage(damageFormula) : 0;
+
+  return {
+    ...result,
+    damageFormula: damageFormula,
+    averageDamage: average,
+    expectedDamage: result.expectedPenetrations * average
+  };
+}
+
+/**
+ * Format a calculator result for the dialog template
+ *
+ * @param {Object} result - Result from calculateExpectedDamage
+ * @returns {Object} Display data with percentages
+ */
+export function formatCalculatorResult(result) {
+  const percent = (p) => `${(p * 100).toFixed(p > 0 && p < 0.001 ? 3 : 1)}%`;
+
+  // Hide the long tail of vanishingly unlikely counts
+  const rows = result.distribution
+    .filter(row => row.penetrations === 0 || row.probability >= 0.0001)
+    .map(row => ({
+      penetrations: row.penetrations,
+      probability: percent(row.probability),
+      barWidth: Math.round(row.probability * 100)
+    }));
+
+  return {
+    singletChance: percent(result.singletChance),
+    penetrateChance: percent(result.penetrateChance),
+    expectedPenetrations: result.expectedPenetrations.toFixed(2),
+    damageFormula: result.damageFormula,
+    averageDamage: result.averageDamage.toFixed(2),
+    expectedDamage: result.expectedDamage.toFixed(2),
+    rows: rows
+  };
+}
+
+/**
+ * Open the GM penetration calculator dialog
+ * Results update live as PV, AV or the damage formula change
+ *
+ * @async
+ * @param {Object} defaults - Initial values
+ * @param {number} defaults.pv - Attacker PV
+ * @param {number} defaults.av - Defender AV
+ * @param {string} defaults.damage - Damage formula
+ * @returns {Promise<Dialog>} The rendered dialog
+ *
+ * @example
+ * game.cavesofqud.calculators.openPenetrationCalculator({ pv: 6, av: 8, damage: "1d4" });
+ */
+export async function openPenetrationCalculator({ pv = 4, av = 0, damage = "1d4" } = {}) {
+  const content = await renderTemplate(
+    "systems/cavesofqud/templates/tools/penetration-calculator.hbs",
+    { pv, av, damage }
+  );
+
+  const dialog = new Dialog({
+    title: "Penetration Calculator",
+    content: content,
+    buttons: {
+      close: { icon: '<i class="fas fa-times"></i>', label: "Close" }
+    },
+    default: "close",
+    render: (html) => {
+      const update = () => _updateCalculatorResults(html);
+      html.find('input').on('change', update);
+      update();
+    }
+  }, {
+    classes: ['cavesofqud', 'dialog', 'penetration-calculator'],
+    width: 380
+  });
+
+  return dialog.render(true);
+}
+
+/**
+ * Recalculate and redraw the results section of the calculator dialog
+ *
+ * @private
+ * @param {jQuery} html - Dialog content
+ */
+async function _updateCalculatorResults(html) {
+  const pv = Number(html.find('input[name="pv"]').val()) || 0;
+  const av = Number(html.find('input[name="av"]').val()) || 0;
+  const damage = String(html.find('input[name="damage"]').val() || "").trim();
+
+  const results = html.find('.calculator-results');
+
+  try {
+    const result = await calculateExpectedDamage(pv, av, damage);
+    results.html(await renderTemplate(
+      "systems/cavesofqud/templates/tools/penetration-calculator-results.hbs",
+      formatCalculatorResult(result)
+    ));
+  } catch (error) {
+    results.html(`<p class="calculator-error">Invalid damage formula: ${damage}</p>`);
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Character Creator
+ * Guided dialog for building a new character: genotype, calling or caste,
+ * attribute point-buy, then starting mutations (Mutant) or a cybernetic
+ * (True Kin). The rules live in helpers/character-creation.mjs.
+ */
+
+import { CAVESOFQUD } from '../helpers/config.mjs';
+import {
+  createCharacter,
+  getFinalAttributes,
+  getGenotype,
+  getMutationSpend,
+  getPackages,
+  getPointBuyCost,
+  getPointBuySummary,
+  getStartingMutations,
+  validateBuild
+} from '../helpers/character-creation.mjs';
+import { openBuildImporter } from './build-codes.mjs';
+
+const TEMPLATE = "systems/cavesofqud/templates/tools/character-creator.hbs";
+
+/**
+ * Open the character creator
+ * The dialog redraws as choices change; Create stays disabled until the
+ * build is valid.
+ *
+ * @async
+ * @param {Object} build - Starting choices (see character-creation.mjs)
+ * @returns {Promise<Dialog>} The rendered dialog
+ *
+ * @example
+ * game.cavesofqud.openCharacterCreator({ characterType: "TrueKin" });
+ */
+export async function openCharacterCreator(build = {}) {
+  const mutations = await getStartingMutations();
+  const state = _newBuild(build.characterType ?? 'Mutant', build);
+
+  const dialog = new Dialog({
+    title: "Create Character",
+    content: await renderTemplate(TEMPLATE, getCreatorData(state, mutations)),
+    buttons: {
+      create: {
+        icon: '<i class="fas fa-user-plus"></i>',
+        label: "Create",
+        callback: () => _create(state)
+      },
+      cancel: { icon: '<i class="fas fa-times"></i>', label: "Cancel" }
+    },
+    default: "create",
+    render: (html) => _activateListeners(dialog, html, state, mutations)
+  }, {
+    classes: ['cavesofqud', 'dialog', 'character-creator'],
+    width: 560,
+    height: 'auto'
+  });
+
+  return dialog.render(true);
+}
+
+/**
+ * Template data for a build
+ *
+ * @param {Object} build - Character build
+ * @param {Array<Object>} mutations - Starting mutations (see getStartingMutations)
+ * @returns {Object}
+ */
+export function getCreatorData(build, mutations) {
+  const { attributeMax, genotypes, cybernetics } = CAVESOFQUD.characterCreation;
+  const genotype = getGenotype(build.characterType);
+  const isTrueKin = build.characterType === 'TrueKin';
+  const packages = getPackages(build.characterType);
+  const bonuses = packages[build.package]?.attributes ?? {};
+  const final = getFinalAttributes(build);
+
+  return {
+    name: build.name ?? '',
+    isTrueKin: isTrueKin,
+    packageLabel: isTrueKin ? "Caste" : "Calling",
+    genotypes: Object.entries(genotypes).map(([key, config]) => ({
+      key: key,
+      label: config.label,
+      selected: key === build.characterType
+    })),
+    packages: Object.entries(packages).map(([key, config]) => ({
+      key: key,
+      label: config.label,
+      selected: key === build.package
+    })),
+    selectedPackage: packages[build.package] ? {
+      bonuses: Object.entries(bonuses)
+        .map(([key, value]) => `+${value} ${game.i18n.localize(CAVESOFQUD.attributeAbbreviations[key])}`).join(', '),
+      skills: packages[build.package].skills.join(', ')
+    } : null,
+    base: genotype.base,
+    max: attributeMax,
+    attributes: Object.keys(CAVESOFQUD.attributes).map(key => ({
+      key: key,
+      label: game.i18n.localize(CAVESOFQUD.attributes[key]),
+      value: build.attributes[key],
+      cost: getPointBuyCost(build.attributes[key], genotype.base),
+      bonus: bonuses[key] || 0,
+      final: final[key]
+    })),
+    points: getPointBuySummary(build),
+    mp: isTrueKin ? null : getMutationSpend(build, mutations),
+    mutations: mutations.map(mutation => ({
+      ...mutation,
+      checked: build.mutations.includes(mutation.uuid)
+    })),
+    cybernetics: Object.entries(cybernetics).map(([key, config]) => ({
+      key: key,
+      ...config,
+      selected: key === build.cybernetic
+    })),
+    problems: validateBuild(build, mutations)
+  };
+}
+
+/**
+ * A build with every attribute at the genotype's base value
+ *
+ * @private
+ * @param {string} characterType - "Mutant" or "TrueKin"
+ * @param {Object} build - Choices to keep
+ * @returns {Object} Character build
+ */
+function _newBuild(characterType, build = {}) {
+  const genotype = getGenotype(characterType);
+  const attributes = {};
+  for (let key of Object.keys(CAVESOFQUD.attributes)) {
+    attributes[key] = build.attributes?.[key] ?? genotype.base;
+  }
+
+  return {
+    name: build.name ?? '',
+    characterType: characterType,
+    package: build.package ?? '',
+    attributes: attributes,
+    mutations: build.mutations ?? [],
+    cybernetic: build.cybernetic ?? ''
+  };
+}
+
+/**
+ * Read the form into the build and redraw the dialog
+ * Changing genotype starts the other choices over, since budgets and
+ * packages differ.
+ *
+ * @private
+ * @param {Dialog} dialog - Creator dialog
+ * @param {jQuery} html - Dialog element
+ * @param {Object} state - Character build, updated in place
+ * @param {Array<Object>} mutations - Starting mutations
+ */
+function _activateListeners(dialog, html, state, mutations) {
+  const form = html.find('form.character-creator-form');
+
+  const refresh = async () => {
+    const characterType = form.find('[name="characterType"]').val();
+    if (characterType !== state.characterType) {
+      Object.assign(state, _newBuild(characterType, { name: state.name }));
+    } else {
+      state.package = form.find('[name="package"]').val() ?? '';
+      state.cybernetic = form.find('[name="cybernetic"]').val() ?? '';
+      state.mutations = form.find('[name="mutations"]:checked').map((i, input) => input.value).get();
+      for (let key of Object.keys(CAVESOFQUD.attributes)) {
+        state.attributes[key] = Number(form.find(`[name="attributes.${key}"]`).val()) || 0;
+      }
+    }
+    state.name = String(form.find('[name="name"]').val() ?? '');
+
+    const data = getCreatorData(state, mutations);
+    form.replaceWith(await renderTemplate(TEMPLATE, data));
+    _activateListeners(dialog, html, state, mutations);
+    dialog.setPosition({ height: 'auto' });
+  };
+
+  form.on('change', 'input, select', refresh);
+  form.on('submit', event => event.preventDefault());
+
+  const problems = validateBuild(state, mutations);
+  html.find('.dialog-button.create').prop('disabled', problems.length > 0);
+}
+
+/**
+ * Create the character and open its sheet
+ *
+ * @private
+ * @async
+ * @param {Object} build - Character build
+ */
+async function _create(build) {
+  try {
+    const actor = await createCharacter(build);
+    ui.notifications.info(`${actor.name} is ready to set out`);
+    actor.sheet.render(true);
+  } catch (error) {
+    ui.notifications.warn(error.message);
+  }
+}
+
+/**
+ * Register the Create Character and Import Build buttons in the Actors sidebar
+ * Called once from the init hook
+ */
+export function registerCharacterCreatorHooks() {
+  Hooks.on('renderActorDirectory', _onRenderActorDirectory);
+}
+
+/**
+ * Add Create Character and Import Build buttons for users who may create actors
+ *
+ * @private
+ * @param {ActorDirectory} app - Actors sidebar
+ * @param {jQuery|HTMLElement} html - Rendered element (jQuery before v13)
+ */
+function _onRenderActorDirectory(app, html) {
+  if (!game.user.can('ACTOR_CREATE')) return;
+
+  const element = html instanceof HTMLElement ? html : html[0];
+  if (element.querySelector('.qud-character-actions')) return;
+
+  const buttons = document.createElement('div');
+  buttons.classList.add('qud-character-actions');
+  buttons.innerHTML =
+    '<button type="button" class="create-qud-character"><i class="fas fa-user-plus"></i> Create Character</button>' +
+    '<button type="button" class="import-qud-build"><i class="fas fa-file-import"></i> Import Build</button>';
+  buttons.querySelector('.create-qud-character').addEventListener('click', () => openCharacterCreator());
+  buttons.querySelector('.import-qud-build').addEventListener('click', () => openBuildImporter());
+
+  const actions = element.querySelector('.header-actions');
+  if (actions) actions.after(buttons);
+  else element.prepend(buttons);
+}
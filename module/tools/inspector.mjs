@@ -96,6 +96,7 @@ export function getActiveMutationEffects(actor) {
       effects.push({
         name: item.name,
         level: item.system.level,
+        effectiveLevel: item.getEffectiveLevel(),
         mpCost: item.system.mpCost,
         effect: item.system.effect,
         bodyPartsAdded: item.system.addedBodyParts?.length || 0,